@@ -25,8 +25,12 @@ const App = {
       VideoMode.initialize();
       EventManager.attachAllEventListeners();
       
-      // Initialize welcome controller instead of WebRTC directly
-      WelcomeController.init();
+      // Initialize welcome controller instead of WebRTC directly. Runs on its
+      // own: a failure here leaves the form to join by hand
+      WelcomeController.init().catch(() => {
+        WelcomeController.showWelcomeForm();
+        UI.showSnackbar("Couldn't open the room from this link. Enter the shared secret and memory to join.");
+      });
       
     } catch (error) {
       if (DOM.isReady()) {
@@ -0,0 +1,20 @@
+// ICE servers used for every call. Add TURN entries so calls still connect
+// between symmetric NATs and behind corporate firewalls, e.g.
+// { urls: ['turn:turn.example.com:3478', 'turns:turn.example.com:5349'], username: 'user', credential: 'pass' }
+export const iceConfig = {
+  iceServers: [
+    { urls: "stun:stun.l.google.com:19302" }
+  ],
+
+  // Optional endpoint for short-lived TURN credentials. Accepted responses:
+  // { iceServers: [...] }, a single { urls, username, credential } entry, or
+  // the TURN REST API shape { uris, username, password, ttl }
+  credentialsUrl: null,
+
+  // Send cookies with that request even when it goes to another origin. Only
+  // for an endpoint you run that authenticates users by cookie
+  credentialsWithCookies: false,
+
+  // 'all' or 'relay'. Users can also opt into relay-only mode on the welcome screen
+  iceTransportPolicy: "all"
+};
@@ -0,0 +1,295 @@
+// =============================================================================
+// ADMISSION MODULE
+// Knock-to-join: rooms where the people inside let newcomers in
+// =============================================================================
+//
+// Whoever opens an empty room with "Require approval to join" ticked turns it
+// on for as long as the room lasts (rooms/{roomKey}/meta.approval). Later
+// joiners post rooms/{roomKey}/knocks/{peerId} = { request, knockedAt } and
+// wait for a decision. Anyone already admitted can answer; admitting adds
+// rooms/{roomKey}/admitted/{peerId}. Requests, decisions and admissions are
+// sealed with the signaling cipher and bound to the peer they are about, and
+// an admission only counts when it was granted by someone we already trust:
+// the opener, and for a newcomer the members its admitter listed. The opener
+// is whoever let themselves in first; two people opening the room at once
+// both do, and the later one then has to knock. So a client can't let itself
+// in by writing its own entry, though anyone holding the room credentials and
+// running a modified client still could.
+
+import { DOM } from './state.js';
+
+const NAME_STORAGE_KEY = 'videoCall_displayName';
+const MAX_NAME_LENGTH = 40;
+
+export const KNOCK_DENIED_MESSAGE = "The people in this room didn't let you in";
+
+function cleanName(name) {
+  return String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+// One per room visit; works on any signaling transport
+export function createAdmission({ transport, cipher, roomKey, localPeerId }) {
+  const paths = {
+    peers: `rooms/${roomKey}/peers`,
+    knocks: `rooms/${roomKey}/knocks`,
+    admitted: `rooms/${roomKey}/admitted`
+  };
+  const ownKnock = `${paths.knocks}/${localPeerId}`;
+  const ownAdmission = `${paths.admitted}/${localPeerId}`;
+  const contexts = {
+    knock: peerId => `${roomKey}:knock:${peerId}`,
+    decision: peerId => `${roomKey}:decision:${peerId}`,
+    admitted: peerId => `${roomKey}:admitted:${peerId}`
+  };
+  // A decision that doesn't open is junk and doesn't stop anyone answering
+  const isAnswered = (knock, peerId) => (knock.decision
+    ? cipher.open(knock.decision, contexts.decision(peerId)).then(() => true, () => false)
+    : Promise.resolve(false));
+  const listeners = [];
+  const disconnectHandles = [];
+  // Everyone whose admission we accept, including people who have since left,
+  // since those they let in stay in
+  const trusted = new Set([localPeerId]);
+  let admittedBy = localPeerId;
+  let finishKnock = null;
+
+  return {
+    // Resolves 'admitted', 'denied' or 'cancelled'. rejoinOf is the id we had
+    // before a reconnect, which members who remember it let straight back in
+    async knock(name, rejoinOf = null) {
+      let failKnock = null;
+      const decision = new Promise((resolve, reject) => {
+        finishKnock = resolve;
+        failKnock = reject;
+      });
+      const knockListeners = [];
+      // Without these watches no answer would ever arrive
+      const watchFailed = error => failKnock(error);
+
+      try {
+        await transport.set(ownKnock, {
+          request: await cipher.seal({ name: cleanName(name), rejoinOf }, contexts.knock(localPeerId)),
+          knockedAt: Date.now()
+        });
+        disconnectHandles.push(await transport.removeOnDisconnect(ownKnock));
+
+        knockListeners.push(transport.watch(`${ownKnock}/decision`, async sealed => {
+          if (!sealed) return;
+          try {
+            const answer = await cipher.open(sealed, contexts.decision(localPeerId));
+            if (answer.decision === 'admitted') {
+              admittedBy = answer.by;
+              trusted.add(answer.by);
+              (answer.members || []).forEach(peerId => trusted.add(peerId));
+            }
+            if (finishKnock && (answer.decision === 'admitted' || answer.decision === 'denied')) {
+              finishKnock(answer.decision);
+            }
+          } catch (error) {
+            // Not written by anyone in the room; keep waiting
+          }
+        }, watchFailed));
+        // Everyone left before answering: the room is ours now
+        knockListeners.push(transport.watch(paths.peers, peers => {
+          if (!peers && finishKnock) finishKnock('admitted');
+        }, watchFailed));
+
+        return await decision;
+      } finally {
+        finishKnock = null;
+        knockListeners.forEach(unsubscribe => unsubscribe());
+        transport.remove(ownKnock).catch(() => {});
+      }
+    },
+
+    cancelKnock() {
+      if (finishKnock) finishKnock('cancelled');
+    },
+
+    // Called once we are in, whether by knocking or by opening the room
+    async join() {
+      await transport.set(ownAdmission, await cipher.seal(
+        { by: admittedBy, admittedAt: Date.now() },
+        contexts.admitted(localPeerId)
+      ));
+      disconnectHandles.push(await transport.removeOnDisconnect(ownAdmission));
+    },
+
+    // Reports the admitted peers we accept, ourselves included, and who beat
+    // us to opening the room if we let ourselves in too. Entries are taken
+    // oldest first, so chains of admissions resolve in one pass
+    watchAdmitted(callback) {
+      let version = 0;
+      listeners.push(transport.watch(paths.admitted, async admitted => {
+        const current = ++version;
+        const entries = [];
+        for (const [peerId, sealed] of Object.entries(admitted || {})) {
+          try {
+            const { by, admittedAt } = await cipher.open(sealed, contexts.admitted(peerId));
+            entries.push({ peerId, by, admittedAt: admittedAt || 0 });
+          } catch (error) {
+            // Not sealed for this peer with the room credentials
+          }
+        }
+        if (current !== version) return;
+
+        // Ties by id, so everyone agrees on the order
+        entries.sort((a, b) => (a.admittedAt - b.admittedAt) || (a.peerId < b.peerId ? -1 : 1));
+        const opener = entries.find(({ peerId, by }) => by === peerId);
+        if (opener) trusted.add(opener.peerId);
+
+        const accepted = new Set([localPeerId]);
+        entries.forEach(({ peerId, by }) => {
+          if (by !== peerId && trusted.has(by)) trusted.add(peerId);
+          if (trusted.has(peerId)) accepted.add(peerId);
+        });
+        const outrankedBy = admittedBy === localPeerId && opener && opener.peerId !== localPeerId
+          ? opener.peerId
+          : null;
+        callback(accepted, outrankedBy);
+      }));
+    },
+
+    // Reports the knocks still waiting for an answer, oldest first. A knock
+    // that doesn't open wasn't sealed with the room credentials and is dropped
+    watchKnocks(callback) {
+      let version = 0;
+      listeners.push(transport.watch(paths.knocks, async knocks => {
+        const current = ++version;
+        const pending = [];
+        for (const [peerId, knock] of Object.entries(knocks || {})) {
+          if (!knock || !knock.request) continue;
+          try {
+            if (await isAnswered(knock, peerId)) continue;
+            const { name, rejoinOf } = await cipher.open(knock.request, contexts.knock(peerId));
+            pending.push({ peerId, name: cleanName(name), rejoinOf: rejoinOf || null, knockedAt: knock.knockedAt || 0 });
+          } catch (error) {
+            // Not from anyone who knows the room
+          }
+        }
+        if (current !== version) return;
+        pending.sort((a, b) => a.knockedAt - b.knockedAt);
+        callback(pending);
+      }));
+    },
+
+    // The first real answer wins; a knock withdrawn meanwhile is left alone.
+    // Admitting hands the newcomer the members we trust, so it trusts them too
+    async decide(peerId, admit) {
+      const knock = await transport.get(`${paths.knocks}/${peerId}`);
+      if (!knock || await isAnswered(knock, peerId)) return;
+
+      if (admit) {
+        trusted.add(peerId);
+        await transport.set(`${paths.admitted}/${peerId}`, await cipher.seal(
+          { by: localPeerId, admittedAt: Date.now() },
+          contexts.admitted(peerId)
+        ));
+      }
+      await transport.set(`${paths.knocks}/${peerId}/decision`, await cipher.seal(
+        { decision: admit ? 'admitted' : 'denied', by: localPeerId, members: [...trusted] },
+        contexts.decision(peerId)
+      ));
+    },
+
+    leave() {
+      if (finishKnock) finishKnock('cancelled');
+      listeners.forEach(unsubscribe => unsubscribe());
+      listeners.length = 0;
+      disconnectHandles.forEach(handle => handle.cancel());
+      disconnectHandles.length = 0;
+      transport.remove(ownKnock).catch(() => {});
+      transport.remove(ownAdmission).catch(() => {});
+    }
+  };
+}
+
+export const Admission = {
+  STORAGE_KEY: 'videoCall_requireApproval',
+
+  // Only read when opening an empty room
+  isRequired() {
+    try {
+      return localStorage.getItem(this.STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  setRequired(enabled) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, String(enabled));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  getDisplayName() {
+    try {
+      return cleanName(localStorage.getItem(NAME_STORAGE_KEY));
+    } catch (error) {
+      return '';
+    }
+  },
+
+  setDisplayName(name) {
+    try {
+      localStorage.setItem(NAME_STORAGE_KEY, cleanName(name));
+    } catch (error) {
+      // Name just isn't remembered
+    }
+  },
+
+  // =============================================================================
+  // REQUESTS
+  // =============================================================================
+  // One card per knock, each with its own Admit and Deny
+  showRequests(requests, decide) {
+    const dialog = DOM.knockDialog;
+    if (!dialog) return;
+
+    dialog.innerHTML = '';
+    requests.forEach(({ peerId, name }) => {
+      const card = document.createElement('div');
+      card.className = 'knock-request';
+
+      const icon = document.createElement('span');
+      icon.className = 'material-symbols-outlined knock-request-icon';
+      icon.textContent = 'person_add';
+
+      const text = document.createElement('span');
+      text.className = 'knock-request-text';
+      text.textContent = `${name || 'Someone'} wants to join`;
+
+      const actions = document.createElement('div');
+      actions.className = 'knock-request-actions';
+      const deny = document.createElement('button');
+      deny.type = 'button';
+      deny.className = 'knock-request-btn';
+      deny.textContent = 'Deny';
+      const admit = document.createElement('button');
+      admit.type = 'button';
+      admit.className = 'knock-request-btn knock-request-btn--admit';
+      admit.textContent = 'Admit';
+      actions.append(deny, admit);
+
+      const answer = (admitted) => {
+        deny.disabled = true;
+        admit.disabled = true;
+        decide(peerId, admitted);
+      };
+      deny.addEventListener('click', () => answer(false));
+      admit.addEventListener('click', () => answer(true));
+
+      card.append(icon, text, actions);
+      dialog.appendChild(card);
+    });
+
+    dialog.style.display = requests.length > 0 ? 'flex' : 'none';
+  },
+
+  reset() {
+    this.showRequests([], () => {});
+  }
+};
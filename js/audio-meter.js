@@ -0,0 +1,55 @@
+// =============================================================================
+// AUDIO METER MODULE
+// Input levels from an AnalyserNode, read on demand
+// =============================================================================
+//
+// All meters share one AudioContext; browsers limit how many can exist.
+
+const MIN_DECIBELS = -60;
+
+let context = null;
+
+function getContext() {
+  if (!context) context = new AudioContext();
+  return context;
+}
+
+// A context made without a user gesture starts suspended
+export function resumeAudioMeters() {
+  if (context && context.state === 'suspended') context.resume().catch(() => {});
+}
+
+export function createAudioMeter(track) {
+  const audioContext = getContext();
+  resumeAudioMeters();
+
+  const source = audioContext.createMediaStreamSource(new MediaStream([track]));
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+
+  return {
+    track,
+
+    // 0 for silence up to 1 for a full-scale signal, on a decibel scale
+    getLevel() {
+      analyser.getFloatTimeDomainData(samples);
+
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+      }
+      const rms = Math.sqrt(sum / samples.length);
+      if (rms === 0) return 0;
+
+      const decibels = 20 * Math.log10(rms);
+      return Math.min(1, Math.max(0, 1 - decibels / MIN_DECIBELS));
+    },
+
+    stop() {
+      source.disconnect();
+    }
+  };
+}
@@ -0,0 +1,471 @@
+// =============================================================================
+// AUDIO PROCESSING MODULE
+// Optional WebAudio chain on the outgoing microphone track
+// =============================================================================
+//
+// Like background effects, every microphone track goes through process()
+// before it reaches the local stream: high-pass filter, noise gate,
+// compressor with a limiter behind it, then gain. Each stage can be bypassed;
+// with all of them off the microphone is sent untouched. "Original sound"
+// skips the chain and also turns off the browser's own echo cancellation,
+// noise suppression and gain control, for music.
+
+import { DOM, StateManager } from './state.js';
+import { UI } from './ui-controls.js';
+import { WebRTC } from './webrtc.js';
+import { Devices } from './devices.js';
+import { createControlMenu, createMenuItem } from './control-menu.js';
+
+const STORAGE_KEY = 'videoCall_audioProcessing';
+
+// What the browser does to the microphone unless original sound is on
+const AUDIO_PROCESSING = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true
+};
+
+const ORIGINAL_SOUND = {
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false
+};
+
+// In signal order; `value` is the one setting each stage exposes
+const STAGES = [
+  { id: 'highpass', label: 'High-pass filter', description: 'Cuts rumble and fan hum', min: 40, max: 300, step: 10, unit: 'Hz', value: 80 },
+  { id: 'gate', label: 'Noise gate', description: 'Silences the mic below a level', min: -80, max: -20, step: 1, unit: 'dB', value: -50 },
+  { id: 'compressor', label: 'Compressor', description: 'Evens out loud and quiet speech', min: -50, max: 0, step: 1, unit: 'dB', value: -24 },
+  { id: 'gain', label: 'Gain', description: 'Makes the mic louder or quieter', min: -12, max: 20, step: 1, unit: 'dB', value: 0 }
+];
+
+const PARAM_SMOOTHING = 0.02;
+
+// Opens on peaks above the threshold, holds briefly so word endings aren't
+// clipped, then fades out
+const GATE_SOURCE = `
+  class NoiseGateProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+      return [{ name: 'threshold', defaultValue: -50, minValue: -100, maxValue: 0, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+      super();
+      this.envelope = 0;
+      this.gain = 0;
+      this.hold = 0;
+      this.envelopeDecay = Math.exp(-1 / (sampleRate * 0.01));
+      this.attack = 1 - Math.exp(-1 / (sampleRate * 0.002));
+      this.release = 1 - Math.exp(-1 / (sampleRate * 0.1));
+      this.holdLength = Math.round(sampleRate * 0.15);
+    }
+
+    process(inputs, outputs, parameters) {
+      const input = inputs[0];
+      const output = outputs[0];
+      if (input.length === 0) return true;
+
+      const threshold = Math.pow(10, parameters.threshold[0] / 20);
+      for (let i = 0; i < input[0].length; i++) {
+        let peak = 0;
+        for (let channel = 0; channel < input.length; channel++) {
+          peak = Math.max(peak, Math.abs(input[channel][i]));
+        }
+        this.envelope = Math.max(peak, this.envelope * this.envelopeDecay);
+        if (this.envelope >= threshold) {
+          this.hold = this.holdLength;
+        } else if (this.hold > 0) {
+          this.hold--;
+        }
+
+        const target = this.hold > 0 ? 1 : 0;
+        this.gain += (target - this.gain) * (target > this.gain ? this.attack : this.release);
+        for (let channel = 0; channel < output.length; channel++) {
+          output[channel][i] = (input[channel] || input[0])[i] * this.gain;
+        }
+      }
+      return true;
+    }
+  }
+  registerProcessor('noise-gate', NoiseGateProcessor);
+`;
+
+// Output track -> chain, so the microphone behind it can be found and stopped
+const chains = new Map();
+
+let context = null;
+let gateModule = null;
+
+function getContext() {
+  if (!context) context = new AudioContext({ latencyHint: 'interactive' });
+  return context;
+}
+
+// Made without a user gesture (e.g. a direct link) the context starts
+// suspended and sends silence until the first click or key press
+function resumeContext() {
+  if (context && context.state === 'suspended') context.resume().catch(() => {});
+}
+
+function loadGate(audioContext) {
+  if (!gateModule) {
+    const url = URL.createObjectURL(new Blob([GATE_SOURCE], { type: 'text/javascript' }));
+    gateModule = audioContext.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+  }
+  return gateModule;
+}
+
+function dbToGain(decibels) {
+  return Math.pow(10, decibels / 20);
+}
+
+function getDefaultSettings() {
+  const settings = { originalSound: false };
+  STAGES.forEach(stage => {
+    settings[stage.id] = { enabled: false, value: stage.value };
+  });
+  return settings;
+}
+
+function createChain(source) {
+  const audioContext = getContext();
+  const input = audioContext.createMediaStreamSource(new MediaStream([source]));
+  const destination = audioContext.createMediaStreamDestination();
+
+  const highpass = audioContext.createBiquadFilter();
+  highpass.type = 'highpass';
+  highpass.Q.value = Math.SQRT1_2;
+
+  const compressor = audioContext.createDynamicsCompressor();
+  compressor.ratio.value = 4;
+  compressor.knee.value = 10;
+  compressor.attack.value = 0.005;
+  compressor.release.value = 0.1;
+
+  // Catches what the compressor lets through so gain can't clip
+  const limiter = audioContext.createDynamicsCompressor();
+  limiter.threshold.value = -1;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.05;
+  compressor.connect(limiter);
+
+  const gain = audioContext.createGain();
+
+  const stages = {
+    highpass: { input: highpass, output: highpass },
+    gate: null,
+    compressor: { input: compressor, output: limiter },
+    gain: { input: gain, output: gain }
+  };
+  let stopped = false;
+
+  const chain = {
+    source,
+    track: destination.stream.getAudioTracks()[0],
+
+    // Wires the enabled stages in order; bypassed ones are left out
+    connect() {
+      input.disconnect();
+      Object.values(stages).forEach(stage => {
+        if (stage) stage.output.disconnect();
+      });
+
+      let node = input;
+      STAGES.forEach(({ id }) => {
+        if (!stages[id] || !AudioProcessing.settings[id].enabled) return;
+        node.connect(stages[id].input);
+        node = stages[id].output;
+      });
+      node.connect(destination);
+    },
+
+    setValues() {
+      const { settings } = AudioProcessing;
+      const now = audioContext.currentTime;
+      highpass.frequency.setTargetAtTime(settings.highpass.value, now, PARAM_SMOOTHING);
+      compressor.threshold.setTargetAtTime(settings.compressor.value, now, PARAM_SMOOTHING);
+      gain.gain.setTargetAtTime(dbToGain(settings.gain.value), now, PARAM_SMOOTHING);
+      if (stages.gate) {
+        stages.gate.input.parameters.get('threshold').setTargetAtTime(settings.gate.value, now, PARAM_SMOOTHING);
+      }
+    },
+
+    stop() {
+      stopped = true;
+      input.disconnect();
+      Object.values(stages).forEach(stage => {
+        if (stage) stage.output.disconnect();
+      });
+      chain.track.stop();
+    }
+  };
+
+  // The worklet loads asynchronously; until then the gate is skipped
+  if (AudioProcessing.isGateSupported()) {
+    loadGate(audioContext).then(() => {
+      if (stopped) return;
+      const gate = new AudioWorkletNode(audioContext, 'noise-gate');
+      stages.gate = { input: gate, output: gate };
+      chain.setValues();
+      chain.connect();
+    }).catch(() => {
+      // No gate on this chain
+    });
+  }
+
+  chain.setValues();
+  chain.connect();
+  return chain;
+}
+
+export const AudioProcessing = {
+  settings: getDefaultSettings(),
+  menu: null,
+
+  init() {
+    this.settings = this.loadSettings();
+
+    if (DOM.audioProcessingBtn && DOM.audioProcessingMenu) {
+      if (!this.isSupported()) DOM.audioProcessingBtn.style.display = 'none';
+      this.menu = createControlMenu(DOM.audioProcessingBtn, DOM.audioProcessingMenu, {
+        onOpen: () => this.renderMenu()
+      });
+    }
+
+    document.addEventListener('pointerdown', resumeContext, true);
+    document.addEventListener('keydown', resumeContext, true);
+    this.updateButton();
+  },
+
+  isSupported() {
+    return typeof window.AudioContext !== 'undefined' &&
+      typeof AudioContext.prototype.createMediaStreamDestination === 'function';
+  },
+
+  isGateSupported() {
+    return typeof window.AudioWorkletNode !== 'undefined';
+  },
+
+  isActive() {
+    return !this.settings.originalSound && STAGES.some(({ id }) => this.settings[id].enabled);
+  },
+
+  // Constraints for getUserMedia
+  getBrowserProcessing() {
+    return { ...(this.settings.originalSound ? ORIGINAL_SOUND : AUDIO_PROCESSING) };
+  },
+
+  loadSettings() {
+    const settings = getDefaultSettings();
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      // Defaults
+    }
+    if (!saved) return settings;
+
+    settings.originalSound = saved.originalSound === true;
+    STAGES.forEach(stage => {
+      const entry = saved[stage.id];
+      if (!entry) return;
+      settings[stage.id].enabled = entry.enabled === true;
+      if (typeof entry.value === 'number') {
+        settings[stage.id].value = Math.min(stage.max, Math.max(stage.min, entry.value));
+      }
+    });
+    return settings;
+  },
+
+  saveSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      // Settings just aren't remembered
+    }
+  },
+
+  // =============================================================================
+  // PIPELINE
+  // =============================================================================
+  // Returns the track to send: the microphone itself, or a processed copy
+  process(micTrack) {
+    if (!this.isActive() || !this.isSupported() || micTrack.kind !== 'audio') return micTrack;
+
+    let chain;
+    try {
+      chain = createChain(micTrack);
+    } catch (error) {
+      return micTrack;
+    }
+    resumeContext();
+
+    // Mute now applies to the output; the microphone has to keep feeding it
+    chain.track.enabled = micTrack.enabled;
+    micTrack.enabled = true;
+    chains.set(chain.track, chain);
+    return chain.track;
+  },
+
+  // The microphone behind a processed track; device ids and settings live there
+  getSourceTrack(track) {
+    const chain = track ? chains.get(track) : null;
+    return chain ? chain.source : track;
+  },
+
+  // Stops a track we handed out along with its microphone, unless that
+  // microphone carries on behind `nextTrack`
+  stop(track, nextTrack = null) {
+    const keep = nextTrack ? this.getSourceTrack(nextTrack) : null;
+    const chain = chains.get(track);
+
+    if (chain) {
+      chains.delete(track);
+      chain.stop();
+      if (chain.source !== keep) chain.source.stop();
+    }
+    if (track !== keep) track.stop();
+  },
+
+  // Puts the chain in or takes it out of the call when that changed
+  async refreshTrack(wasActive) {
+    if (wasActive === this.isActive()) return;
+
+    const localStream = StateManager.getLocalStream();
+    const currentTrack = localStream ? localStream.getAudioTracks()[0] : null;
+    if (!currentTrack) return;
+
+    await WebRTC.replaceLocalTrack(this.getSourceTrack(currentTrack));
+  },
+
+  // =============================================================================
+  // SETTINGS
+  // =============================================================================
+  async setStageEnabled(id, enabled) {
+    const wasActive = this.isActive();
+    this.applyStageEnabled(id, enabled);
+
+    try {
+      await this.refreshTrack(wasActive);
+    } catch (error) {
+      // The microphone is still sent as it was
+      this.applyStageEnabled(id, !enabled);
+      UI.showSnackbar("Couldn't change the microphone processing");
+    }
+  },
+
+  applyStageEnabled(id, enabled) {
+    this.settings[id].enabled = enabled;
+    this.saveSettings();
+    this.updateButton();
+    chains.forEach(chain => chain.connect());
+  },
+
+  // Applied live while a slider moves; saved once it is let go
+  setStageValue(id, value, save = true) {
+    this.settings[id].value = value;
+    if (save) this.saveSettings();
+    chains.forEach(chain => chain.setValues());
+  },
+
+  // The browser's processing is fixed when the microphone is opened, so it
+  // is opened again
+  async setOriginalSound(enabled) {
+    this.applyOriginalSound(enabled);
+
+    // selectInput reports its own failure and keeps the microphone as it was
+    const localStream = StateManager.getLocalStream();
+    if (localStream && localStream.getAudioTracks()[0] &&
+        !await Devices.selectInput('audioinput', Devices.getActiveId('audioinput'), false)) {
+      this.applyOriginalSound(!enabled);
+      return;
+    }
+
+    if (enabled) UI.showSnackbar('Original sound is on. Use headphones to avoid echo.');
+  },
+
+  applyOriginalSound(enabled) {
+    this.settings.originalSound = enabled;
+    this.saveSettings();
+    this.updateButton();
+  },
+
+  // =============================================================================
+  // MENU
+  // =============================================================================
+  updateButton() {
+    if (DOM.audioProcessingBtn) {
+      DOM.audioProcessingBtn.classList.toggle('active', this.isActive() || this.settings.originalSound);
+    }
+  },
+
+  // Toggles keep the menu open so several stages can be set in one go
+  renderMenu(focusId = null) {
+    const menu = DOM.audioProcessingMenu;
+    if (!menu) return;
+
+    menu.innerHTML = '';
+    const { originalSound } = this.settings;
+
+    const title = document.createElement('div');
+    title.className = 'control-menu-title';
+    title.textContent = 'Microphone processing';
+    menu.appendChild(title);
+
+    STAGES.forEach(stage => {
+      if (stage.id === 'gate' && !this.isGateSupported()) return;
+
+      const setting = this.settings[stage.id];
+      const formatValue = value => `${value > 0 && stage.unit === 'dB' ? '+' : ''}${value} ${stage.unit}`;
+
+      const item = createMenuItem('menuitemcheckbox', stage.label, `${stage.description} · ${formatValue(setting.value)}`);
+      item.setAttribute('aria-checked', String(setting.enabled));
+      item.dataset.stage = stage.id;
+      item.disabled = originalSound;
+      item.addEventListener('click', async () => {
+        await this.setStageEnabled(stage.id, !setting.enabled);
+        this.renderMenu(stage.id);
+      });
+      menu.appendChild(item);
+
+      const slider = document.createElement('div');
+      slider.className = 'control-menu-slider';
+      const range = document.createElement('input');
+      range.type = 'range';
+      range.min = stage.min;
+      range.max = stage.max;
+      range.step = stage.step;
+      range.value = setting.value;
+      range.disabled = originalSound || !setting.enabled;
+      range.setAttribute('aria-label', `${stage.label} (${stage.unit})`);
+      range.addEventListener('input', () => {
+        this.setStageValue(stage.id, Number(range.value), false);
+        item.querySelector('.control-menu-description').textContent = `${stage.description} · ${formatValue(setting.value)}`;
+      });
+      range.addEventListener('change', () => this.setStageValue(stage.id, Number(range.value)));
+      slider.appendChild(range);
+      menu.appendChild(slider);
+    });
+
+    const modeTitle = document.createElement('div');
+    modeTitle.className = 'control-menu-title';
+    modeTitle.textContent = 'Music';
+    menu.appendChild(modeTitle);
+
+    const original = createMenuItem('menuitemcheckbox', 'Original sound', 'No echo cancellation, noise suppression or processing');
+    original.setAttribute('aria-checked', String(originalSound));
+    original.dataset.stage = 'original';
+    original.addEventListener('click', async () => {
+      await this.setOriginalSound(!originalSound);
+      this.renderMenu('original');
+    });
+    menu.appendChild(original);
+
+    if (focusId) {
+      const focused = menu.querySelector(`[data-stage="${focusId}"]`);
+      if (focused) focused.focus();
+    }
+  }
+};
@@ -0,0 +1,278 @@
+// =============================================================================
+// BANDWIDTH MODULE
+// Send quality profiles applied with RTCRtpSender.setParameters
+// =============================================================================
+//
+// Profiles cap what we send to each participant; incoming quality is up to
+// the other side. In auto mode every connection moves between the fixed
+// profiles on its own, driven by the loss and round-trip time the stats
+// module measures. Senders are checked on every sample, so tracks added later
+// (screen sharing, renegotiation) pick up the current profile too.
+
+import { DOM } from './state.js';
+import { Participants } from './participants.js';
+import { createControlMenu, createMenuItem } from './control-menu.js';
+import { CallStats } from './stats.js';
+import { VideoEffects } from './video-effects.js';
+
+const STORAGE_KEY = 'videoCall_bandwidthProfile';
+const DEFAULT_MODE = 'auto';
+
+// maxHeight becomes scaleResolutionDownBy against what the camera delivers
+const PROFILES = {
+  'data-saver': {
+    label: 'Data saver',
+    description: 'Low resolution, about 0.3 Mbps',
+    video: { maxBitrate: 250000, maxFramerate: 15, maxHeight: 360 },
+    audio: { maxBitrate: 24000 },
+    degradationPreference: 'maintain-framerate',
+    capture: { width: 640, height: 360, frameRate: 15 }
+  },
+  balanced: {
+    label: 'Balanced',
+    description: 'Up to 720p, about 1 Mbps',
+    video: { maxBitrate: 900000, maxFramerate: 30, maxHeight: 720 },
+    audio: { maxBitrate: 40000 },
+    degradationPreference: 'balanced',
+    capture: { width: 1280, height: 720 }
+  },
+  'high-quality': {
+    label: 'High quality',
+    description: 'Full resolution, up to 2.5 Mbps',
+    video: { maxBitrate: 2500000, maxFramerate: 30, maxHeight: null },
+    audio: { maxBitrate: 64000 },
+    degradationPreference: 'maintain-resolution',
+    capture: { width: 1280, height: 720 }
+  }
+};
+
+// Auto mode steps through these, lowest first
+const LEVELS = ['data-saver', 'balanced', 'high-quality'];
+const AUTO_START_LEVEL = 1;
+
+// Step down quickly on trouble, step up only after a long quiet stretch
+const DOWNGRADE_LOSS = 5;
+const DOWNGRADE_RTT = 500;
+const DOWNGRADE_AFTER = 3;
+const UPGRADE_LOSS = 1;
+const UPGRADE_RTT = 250;
+const UPGRADE_AFTER = 15;
+
+const autoStates = new Map();
+const appliedSenders = new WeakMap();
+// Cleared the first time a browser rejects degradationPreference
+let degradationSupported = true;
+
+// Screens carry text, so they keep their resolution and give up frames instead
+function isScreenTrack(track) {
+  return track.contentHint === 'detail' || track.contentHint === 'text';
+}
+
+function getEncoding(track, profile) {
+  if (track.kind === 'audio') {
+    return { encoding: { maxBitrate: profile.audio.maxBitrate }, degradationPreference: null };
+  }
+
+  if (isScreenTrack(track)) {
+    return {
+      encoding: { maxBitrate: profile.video.maxBitrate, maxFramerate: Math.min(profile.video.maxFramerate, 15), scaleResolutionDownBy: 1 },
+      degradationPreference: 'maintain-resolution'
+    };
+  }
+
+  // Processed tracks may not report a size; the camera behind them does
+  const height = VideoEffects.getSourceTrack(track).getSettings().height || 0;
+  const scale = profile.video.maxHeight && height > profile.video.maxHeight
+    ? height / profile.video.maxHeight
+    : 1;
+
+  return {
+    encoding: {
+      maxBitrate: profile.video.maxBitrate,
+      maxFramerate: profile.video.maxFramerate,
+      scaleResolutionDownBy: Math.round(scale * 100) / 100
+    },
+    degradationPreference: profile.degradationPreference
+  };
+}
+
+async function applyToSender(sender, profile) {
+  const track = sender.track;
+  if (!track) return;
+
+  const settings = getEncoding(track, profile);
+  const key = `${track.id}:${JSON.stringify(settings)}`;
+  if (appliedSenders.get(sender) === key) return;
+
+  const parameters = sender.getParameters();
+  // Encodings only exist once the sender has been negotiated
+  if (!parameters.encodings || parameters.encodings.length === 0) return;
+
+  parameters.encodings.forEach(encoding => Object.assign(encoding, settings.encoding));
+
+  // Marked before the await so the next sample doesn't race this call, and
+  // kept after a failure: the same settings would only fail again
+  appliedSenders.set(sender, key);
+  try {
+    await sender.setParameters(parameters);
+  } catch (error) {
+    return;
+  }
+
+  // On its own, so a browser that rejects it still gets the bitrate cap
+  if (settings.degradationPreference && degradationSupported) {
+    const next = sender.getParameters();
+    next.degradationPreference = settings.degradationPreference;
+    try {
+      await sender.setParameters(next);
+    } catch (error) {
+      degradationSupported = false;
+    }
+  }
+}
+
+export const Bandwidth = {
+  menu: null,
+
+  init() {
+    if (DOM.bandwidthBtn && DOM.bandwidthMenu) {
+      this.renderMenu();
+      this.menu = createControlMenu(DOM.bandwidthBtn, DOM.bandwidthMenu, {
+        onOpen: () => this.renderMenu()
+      });
+    }
+
+    CallStats.onSample((participant, sample) => this.handleSample(participant, sample));
+  },
+
+  getMode() {
+    try {
+      const mode = localStorage.getItem(STORAGE_KEY);
+      return mode === 'auto' || PROFILES[mode] ? mode : DEFAULT_MODE;
+    } catch (error) {
+      return DEFAULT_MODE;
+    }
+  },
+
+  setMode(mode) {
+    try {
+      localStorage.setItem(STORAGE_KEY, mode);
+    } catch (error) {
+      // Falls back to the default next time
+    }
+
+    autoStates.clear();
+    this.renderMenu();
+    Participants.all().forEach(participant => this.apply(participant));
+  },
+
+  // Asked for up front so data saver doesn't capture more than it sends
+  getCaptureConstraints() {
+    const mode = this.getMode();
+    const capture = (mode === 'auto' ? PROFILES.balanced : PROFILES[mode]).capture;
+
+    const constraints = { width: { ideal: capture.width }, height: { ideal: capture.height } };
+    if (capture.frameRate) constraints.frameRate = { ideal: capture.frameRate };
+    return constraints;
+  },
+
+  getProfileName(peerId) {
+    const mode = this.getMode();
+    if (mode !== 'auto') return mode;
+
+    const state = autoStates.get(peerId);
+    return LEVELS[state ? state.level : AUTO_START_LEVEL];
+  },
+
+  async apply(participant) {
+    if (!participant.session) return;
+
+    const profile = PROFILES[this.getProfileName(participant.peerId)];
+    const senders = participant.session.connection.getSenders();
+    await Promise.all(senders.map(sender => applyToSender(sender, profile)));
+  },
+
+  // =============================================================================
+  // AUTO MODE
+  // =============================================================================
+  handleSample(participant, sample) {
+    if (this.getMode() === 'auto') this.updateAutoLevel(participant.peerId, sample);
+    this.apply(participant);
+  },
+
+  updateAutoLevel(peerId, sample) {
+    let state = autoStates.get(peerId);
+    if (!state) {
+      state = { level: AUTO_START_LEVEL, bad: 0, good: 0 };
+      autoStates.set(peerId, state);
+    }
+
+    // Outbound loss as reported back by the other side
+    const loss = Math.max(sample.outbound.video.loss, sample.outbound.audio.loss);
+    const rtt = sample.rtt || 0;
+
+    if (loss >= DOWNGRADE_LOSS || rtt >= DOWNGRADE_RTT) {
+      state.bad += 1;
+      state.good = 0;
+    } else if (loss < UPGRADE_LOSS && rtt < UPGRADE_RTT) {
+      state.good += 1;
+      state.bad = 0;
+    } else {
+      state.bad = 0;
+      state.good = 0;
+    }
+
+    if (state.bad >= DOWNGRADE_AFTER && state.level > 0) {
+      state.level -= 1;
+      state.bad = 0;
+    } else if (state.good >= UPGRADE_AFTER && state.level < LEVELS.length - 1) {
+      state.level += 1;
+      state.good = 0;
+    }
+  },
+
+  detach(peerId) {
+    autoStates.delete(peerId);
+  },
+
+  // =============================================================================
+  // MENU
+  // =============================================================================
+  renderMenu() {
+    const menu = DOM.bandwidthMenu;
+    if (!menu) return;
+
+    const mode = this.getMode();
+    const options = [
+      { mode: 'auto', label: 'Auto', description: 'Adjusts to each connection' },
+      ...LEVELS.map(name => ({ mode: name, label: PROFILES[name].label, description: PROFILES[name].description }))
+    ];
+
+    menu.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'control-menu-title';
+    title.textContent = 'Video quality';
+    menu.appendChild(title);
+
+    options.forEach(option => {
+      const item = createMenuItem('menuitemradio', option.label, option.description);
+      item.setAttribute('aria-checked', String(option.mode === mode));
+      item.addEventListener('click', () => {
+        this.setMode(option.mode);
+        if (this.menu) this.menu.close();
+      });
+      menu.appendChild(item);
+    });
+
+    if (DOM.bandwidthBtn) {
+      DOM.bandwidthBtn.classList.toggle('active', mode === 'data-saver');
+    }
+  },
+
+  // Called when the call ends
+  reset() {
+    autoStates.clear();
+    if (this.menu) this.menu.close();
+  }
+};
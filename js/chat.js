@@ -0,0 +1,282 @@
+// =============================================================================
+// CHAT MODULE
+// In-call text chat over a negotiated RTCDataChannel per participant
+// =============================================================================
+//
+// Wire format (JSON): { type: 'message', text } or { type: 'typing' }.
+// History lives only in memory and is cleared when the call ends.
+
+import { DOM } from './state.js';
+import { Participants } from './participants.js';
+
+export const CHAT_CHANNEL_ID = 0;
+
+const MAX_MESSAGE_LENGTH = 4000;
+const TYPING_SEND_INTERVAL = 2000;
+const TYPING_DISPLAY_TIME = 3000;
+const URL_PATTERN = /(https?:\/\/[^\s<>"']+)/g;
+
+const channels = new Map();
+const typingTimers = new Map();
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Text nodes and anchors only, so nothing a peer sends is parsed as HTML
+function renderText(container, text) {
+  text.split(URL_PATTERN).forEach((part, index) => {
+    if (index % 2 === 1) {
+      const link = document.createElement('a');
+      link.href = part;
+      link.textContent = part;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      container.appendChild(link);
+    } else if (part) {
+      container.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+export const Chat = {
+  messages: [],
+  unreadCount: 0,
+  isOpen: false,
+  lastTypingSent: 0,
+
+  init() {
+    if (DOM.toggleChatBtn) {
+      DOM.toggleChatBtn.addEventListener('click', () => this.toggle());
+    }
+
+    if (DOM.chatCloseBtn) {
+      DOM.chatCloseBtn.addEventListener('click', () => this.close());
+    }
+
+    if (DOM.chatForm) {
+      DOM.chatForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.sendFromInput();
+      });
+    }
+
+    if (DOM.chatInput) {
+      DOM.chatInput.addEventListener('keydown', (event) => {
+        // Enter sends, Shift+Enter keeps multi-line snippets possible
+        if (event.key === 'Enter' && !event.shiftKey) {
+          event.preventDefault();
+          this.sendFromInput();
+        } else if (event.key === 'Escape') {
+          this.close();
+        }
+      });
+      DOM.chatInput.addEventListener('input', () => this.notifyTyping());
+    }
+  },
+
+  // =============================================================================
+  // CHANNELS
+  // =============================================================================
+  attach(participant) {
+    const channel = participant.session.createDataChannel('chat', CHAT_CHANNEL_ID);
+    channel.onmessage = (event) => this.handleChannelMessage(participant.peerId, event.data);
+    channels.set(participant.peerId, channel);
+  },
+
+  detach(peerId) {
+    channels.delete(peerId);
+    clearTimeout(typingTimers.get(peerId));
+    typingTimers.delete(peerId);
+    this.renderTyping();
+  },
+
+  broadcast(message) {
+    const data = JSON.stringify(message);
+    let delivered = 0;
+
+    channels.forEach(channel => {
+      if (channel.readyState !== 'open') return;
+      channel.send(data);
+      delivered++;
+    });
+
+    return delivered;
+  },
+
+  handleChannelMessage(peerId, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'typing') {
+      this.showTyping(peerId);
+      return;
+    }
+
+    if (message.type !== 'message' || typeof message.text !== 'string') return;
+
+    const participant = Participants.get(peerId);
+    this.clearTyping(peerId);
+    this.addMessage({
+      author: participant ? participant.label : 'Participant',
+      text: message.text.slice(0, MAX_MESSAGE_LENGTH),
+      time: Date.now(),
+      own: false
+    });
+  },
+
+  // =============================================================================
+  // SENDING
+  // =============================================================================
+  sendFromInput() {
+    if (!DOM.chatInput) return;
+
+    const text = DOM.chatInput.value.trim();
+    if (!text) return;
+
+    if (this.send(text)) {
+      DOM.chatInput.value = '';
+    }
+  },
+
+  send(text) {
+    const trimmed = text.slice(0, MAX_MESSAGE_LENGTH);
+    if (this.broadcast({ type: 'message', text: trimmed }) === 0) {
+      this.addSystemMessage('Nobody is connected yet');
+      return false;
+    }
+
+    this.lastTypingSent = 0;
+    this.addMessage({ author: 'You', text: trimmed, time: Date.now(), own: true });
+    return true;
+  },
+
+  notifyTyping() {
+    const now = Date.now();
+    if (now - this.lastTypingSent < TYPING_SEND_INTERVAL) return;
+
+    this.lastTypingSent = now;
+    this.broadcast({ type: 'typing' });
+  },
+
+  // =============================================================================
+  // HISTORY AND RENDERING
+  // =============================================================================
+  addMessage(message) {
+    this.messages.push(message);
+    this.renderMessage(message);
+
+    if (!this.isOpen && !message.own) {
+      this.unreadCount++;
+      this.updateBadge();
+    }
+  },
+
+  addSystemMessage(text) {
+    this.renderMessage({ text, system: true });
+  },
+
+  renderMessage(message) {
+    if (!DOM.chatMessages) return;
+
+    const item = document.createElement('div');
+
+    if (message.system) {
+      item.className = 'chat-message chat-message--system';
+      item.textContent = message.text;
+    } else {
+      item.className = `chat-message${message.own ? ' chat-message--own' : ''}`;
+
+      const meta = document.createElement('div');
+      meta.className = 'chat-message-meta';
+      meta.textContent = `${message.author} · ${formatTime(message.time)}`;
+
+      const body = document.createElement('div');
+      body.className = 'chat-message-text';
+      renderText(body, message.text);
+
+      item.append(meta, body);
+    }
+
+    DOM.chatMessages.appendChild(item);
+    DOM.chatMessages.scrollTop = DOM.chatMessages.scrollHeight;
+  },
+
+  showTyping(peerId) {
+    clearTimeout(typingTimers.get(peerId));
+    typingTimers.set(peerId, setTimeout(() => this.clearTyping(peerId), TYPING_DISPLAY_TIME));
+    this.renderTyping();
+  },
+
+  clearTyping(peerId) {
+    clearTimeout(typingTimers.get(peerId));
+    typingTimers.delete(peerId);
+    this.renderTyping();
+  },
+
+  renderTyping() {
+    if (!DOM.chatTyping) return;
+
+    const names = Array.from(typingTimers.keys())
+      .map(peerId => Participants.get(peerId))
+      .filter(Boolean)
+      .map(participant => participant.label);
+
+    DOM.chatTyping.textContent = names.length === 0 ? '' :
+      `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} typing…`;
+  },
+
+  updateBadge() {
+    if (!DOM.chatBadge) return;
+
+    DOM.chatBadge.textContent = this.unreadCount > 9 ? '9+' : String(this.unreadCount);
+    DOM.chatBadge.classList.toggle('show', this.unreadCount > 0);
+  },
+
+  // =============================================================================
+  // PANEL
+  // =============================================================================
+  open() {
+    if (!DOM.chatPanel) return;
+
+    this.isOpen = true;
+    this.unreadCount = 0;
+    this.updateBadge();
+    DOM.chatPanel.classList.add('open');
+    if (DOM.toggleChatBtn) DOM.toggleChatBtn.classList.add('active');
+    if (DOM.chatInput) DOM.chatInput.focus();
+  },
+
+  close() {
+    if (!DOM.chatPanel) return;
+
+    this.isOpen = false;
+    DOM.chatPanel.classList.remove('open');
+    if (DOM.toggleChatBtn) DOM.toggleChatBtn.classList.remove('active');
+    if (DOM.chatInput) DOM.chatInput.blur();
+  },
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  },
+
+  // Called when the call ends; history is per call
+  reset() {
+    Array.from(channels.keys()).forEach(peerId => this.detach(peerId));
+    this.messages = [];
+    this.unreadCount = 0;
+    this.lastTypingSent = 0;
+    this.updateBadge();
+    this.close();
+    if (DOM.chatMessages) DOM.chatMessages.innerHTML = '';
+    if (DOM.chatInput) DOM.chatInput.value = '';
+  }
+};
@@ -0,0 +1,115 @@
+// =============================================================================
+// CONNECTION MONITOR MODULE
+// Connection state machine with ICE restarts and exponential backoff
+// =============================================================================
+//
+// connecting -> connected -> disconnected -> reconnecting -> connected
+//      |                                          ^       \-> failed (Retry rejoins)
+//      \---------------- failed ------------------/
+
+import { UI } from './ui-controls.js';
+
+// ICE often recovers from a short blip by itself, so wait before restarting
+const DISCONNECT_GRACE_PERIOD = 2000;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 16000;
+const MAX_RESTART_ATTEMPTS = 5;
+
+// One monitor per participant.
+// callbacks: { restartIce(), rejoin(), onStateChange(state) }
+export function createConnectionMonitor(callbacks) {
+  return {
+    state: 'connecting',
+    hasConnected: false,
+    attempts: 0,
+    graceTimer: null,
+    retryTimer: null,
+    active: false,
+
+    start() {
+      this.active = true;
+      this.setState('connecting');
+    },
+
+    stop() {
+      this.clearTimers();
+      this.active = false;
+    },
+
+    clearTimers() {
+      clearTimeout(this.graceTimer);
+      clearTimeout(this.retryTimer);
+      this.graceTimer = null;
+      this.retryTimer = null;
+    },
+
+    setState(state) {
+      this.state = state;
+      callbacks.onStateChange(state);
+    },
+
+    // Fed with RTCPeerConnection.connectionState on every change
+    handlePeerState(peerState) {
+      if (!this.active) return;
+
+      switch (peerState) {
+        case 'connected':
+          this.clearTimers();
+          if (this.state === 'reconnecting' && this.hasConnected) {
+            UI.showSnackbar('Reconnected');
+          }
+          this.hasConnected = true;
+          this.attempts = 0;
+          this.setState('connected');
+          break;
+
+        case 'disconnected':
+          if (this.state !== 'connected') break;
+          this.setState('disconnected');
+          this.graceTimer = setTimeout(() => this.beginReconnect(), DISCONNECT_GRACE_PERIOD);
+          break;
+
+        case 'failed':
+          if (this.state === 'reconnecting') break;
+          clearTimeout(this.graceTimer);
+          this.beginReconnect();
+          break;
+      }
+    },
+
+    beginReconnect() {
+      this.clearTimers();
+
+      // Also taken when the first connection attempt fails: a restart often
+      // finds a path the first gathering missed, and rejoining is offered last
+      this.setState('reconnecting');
+      this.attemptRestart();
+    },
+
+    attemptRestart() {
+      if (this.attempts >= MAX_RESTART_ATTEMPTS) {
+        this.fail();
+        return;
+      }
+
+      const delay = Math.min(BASE_RETRY_DELAY * 2 ** this.attempts, MAX_RETRY_DELAY);
+      this.attempts++;
+
+      Promise.resolve(callbacks.restartIce()).catch(() => {
+        // The next attempt retries the signaling write as well
+      });
+
+      this.retryTimer = setTimeout(() => {
+        if (this.active && this.state !== 'connected') {
+          this.attemptRestart();
+        }
+      }, delay);
+    },
+
+    fail() {
+      this.clearTimers();
+      this.setState('failed');
+      UI.showSnackbar(this.hasConnected ? 'Connection lost' : "Couldn't connect", 'Retry', () => callbacks.rejoin());
+    }
+  };
+}
@@ -0,0 +1,66 @@
+// =============================================================================
+// CONTROL CHANNEL MODULE
+// Small JSON messages about call state over a negotiated RTCDataChannel
+// =============================================================================
+//
+// Messages are { type, ...fields }. Features register a handler per type and
+// an open handler to send their current state to peers whose channel (re)opens.
+
+export const CONTROL_CHANNEL_ID = 2;
+
+const channels = new Map();
+const messageHandlers = new Map();
+const openHandlers = [];
+
+export const ControlChannel = {
+  on(type, handler) {
+    if (!messageHandlers.has(type)) messageHandlers.set(type, []);
+    messageHandlers.get(type).push(handler);
+  },
+
+  onOpen(handler) {
+    openHandlers.push(handler);
+  },
+
+  attach(participant) {
+    const { peerId } = participant;
+    const channel = participant.session.createDataChannel('control', CONTROL_CHANNEL_ID);
+
+    channel.onopen = () => openHandlers.forEach(handler => handler(peerId));
+    channel.onmessage = (event) => this.handleMessage(peerId, event.data);
+    channels.set(peerId, channel);
+  },
+
+  detach(peerId) {
+    channels.delete(peerId);
+  },
+
+  handleMessage(peerId, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    const handlers = messageHandlers.get(message.type) || [];
+    handlers.forEach(handler => handler(peerId, message));
+  },
+
+  send(peerId, message) {
+    const channel = channels.get(peerId);
+    if (!channel || channel.readyState !== 'open') return false;
+
+    channel.send(JSON.stringify(message));
+    return true;
+  },
+
+  broadcast(message) {
+    channels.forEach((channel, peerId) => this.send(peerId, message));
+  },
+
+  reset() {
+    channels.clear();
+  }
+};
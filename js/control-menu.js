@@ -0,0 +1,101 @@
+// =============================================================================
+// CONTROL MENU MODULE
+// Popover menus opened from a control bar button
+// =============================================================================
+//
+// The menu element lives at the top of the app and is placed above its button
+// when opened. Clicking outside, Escape or picking an item closes it.
+
+const MENU_GAP = 8;
+
+// A check mark, a label and an optional description. Callers set aria-checked
+// and handle clicks
+export function createMenuItem(role, label, description = null) {
+  const item = document.createElement('button');
+  item.type = 'button';
+  item.className = 'control-menu-item';
+  item.setAttribute('role', role);
+
+  const check = document.createElement('span');
+  check.className = 'material-symbols-outlined control-menu-check';
+  check.textContent = 'check';
+
+  const text = document.createElement('span');
+  text.className = 'control-menu-text';
+  const name = document.createElement('span');
+  name.className = 'control-menu-label';
+  name.textContent = label;
+  text.appendChild(name);
+  if (description) {
+    const detail = document.createElement('span');
+    detail.className = 'control-menu-description';
+    detail.textContent = description;
+    text.appendChild(detail);
+  }
+
+  item.append(check, text);
+  return item;
+}
+
+export function createControlMenu(button, menu, { onOpen = null } = {}) {
+  let isOpen = false;
+
+  const position = () => {
+    const rect = button.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - menu.offsetWidth - MENU_GAP);
+    menu.style.left = `${Math.max(MENU_GAP, left)}px`;
+    menu.style.bottom = `${window.innerHeight - rect.top + MENU_GAP}px`;
+  };
+
+  const handlePointerDown = (event) => {
+    if (!menu.contains(event.target) && !button.contains(event.target)) close();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      // Keeps the global Escape shortcut from also leaving fullscreen
+      event.stopPropagation();
+      close();
+      button.focus();
+    }
+  };
+
+  function open() {
+    if (isOpen) return;
+
+    isOpen = true;
+    if (onOpen) onOpen();
+    menu.classList.add('open');
+    button.setAttribute('aria-expanded', 'true');
+    position();
+
+    document.addEventListener('pointerdown', handlePointerDown, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+    window.addEventListener('resize', position);
+
+    const checked = menu.querySelector('[aria-checked="true"]') || menu.querySelector('[role^="menuitem"]');
+    if (checked) checked.focus();
+  }
+
+  function close() {
+    if (!isOpen) return;
+
+    isOpen = false;
+    menu.classList.remove('open');
+    button.setAttribute('aria-expanded', 'false');
+
+    document.removeEventListener('pointerdown', handlePointerDown, true);
+    document.removeEventListener('keydown', handleKeyDown, true);
+    window.removeEventListener('resize', position);
+  }
+
+  button.setAttribute('aria-haspopup', 'menu');
+  button.setAttribute('aria-expanded', 'false');
+  button.addEventListener('click', () => (isOpen ? close() : open()));
+
+  return {
+    open,
+    close,
+    isOpen: () => isOpen
+  };
+}
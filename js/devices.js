@@ -0,0 +1,313 @@
+// =============================================================================
+// DEVICES MODULE
+// Microphone, camera and speaker selection with hot-plug handling
+// =============================================================================
+//
+// Choices are remembered by device id and label (ids can change when the
+// browser's permissions are reset). When the active device is unplugged the
+// call falls back to another one; when a remembered device comes back it is
+// picked up again.
+
+import { DOM, StateManager } from './state.js';
+import { UI } from './ui-controls.js';
+import { WebRTC } from './webrtc.js';
+import { VideoGrid } from './video-grid.js';
+import { Bandwidth } from './bandwidth.js';
+import { VideoEffects } from './video-effects.js';
+import { AudioProcessing } from './audio-processing.js';
+import { createControlMenu, createMenuItem } from './control-menu.js';
+
+const STORAGE_KEY = 'videoCall_devices';
+
+const KINDS = [
+  { kind: 'audioinput', label: 'Microphone' },
+  { kind: 'videoinput', label: 'Camera' },
+  { kind: 'audiooutput', label: 'Speaker' }
+];
+
+function getKindLabel(kind) {
+  return KINDS.find(entry => entry.kind === kind).label;
+}
+
+function getDeviceName(device, index) {
+  return device.label || `${getKindLabel(device.kind)} ${index + 1}`;
+}
+
+// Processed tracks carry no device id; the device behind them does
+function getSourceTrack(track) {
+  return track && track.kind === 'audio' ? AudioProcessing.getSourceTrack(track) : VideoEffects.getSourceTrack(track);
+}
+
+export const Devices = {
+  devices: [],
+  menu: null,
+
+  init() {
+    if (DOM.devicesBtn && DOM.devicesMenu) {
+      // Rendered straight away, then again once the list is fresh
+      this.menu = createControlMenu(DOM.devicesBtn, DOM.devicesMenu, {
+        onOpen: () => {
+          this.renderMenu();
+          this.refresh().then(() => {
+            if (this.menu.isOpen()) this.renderMenu();
+          });
+        }
+      });
+    }
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => {
+        this.handleDeviceChange().catch(() => {
+          // Picked up again on the next change or from the menu
+        });
+      });
+    }
+  },
+
+  isOutputSupported() {
+    return typeof HTMLMediaElement.prototype.setSinkId === 'function';
+  },
+
+  async refresh() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      this.devices = devices.filter(device => device.deviceId &&
+        (device.kind !== 'audiooutput' || this.isOutputSupported()));
+    } catch (error) {
+      this.devices = [];
+    }
+    return this.devices;
+  },
+
+  getDevices(kind) {
+    return this.devices.filter(device => device.kind === kind);
+  },
+
+  getDeviceName(device) {
+    return getDeviceName(device, this.getDevices(device.kind).indexOf(device));
+  },
+
+  // =============================================================================
+  // PREFERENCES
+  // =============================================================================
+  getPreferences() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  },
+
+  savePreference(device) {
+    const preferences = this.getPreferences();
+    preferences[device.kind] = { deviceId: device.deviceId, label: device.label };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+      // Choice just isn't remembered
+    }
+  },
+
+  getPreferredId(kind) {
+    const preference = this.getPreferences()[kind];
+    if (!preference) return null;
+
+    const devices = this.getDevices(kind);
+    // Before enumeration (first call) the stored id is the best guess
+    if (devices.length === 0) return preference.deviceId;
+
+    const match = devices.find(device => device.deviceId === preference.deviceId) ||
+      devices.find(device => preference.label && device.label === preference.label);
+    return match ? match.deviceId : null;
+  },
+
+  getAudioConstraints(deviceId = this.getPreferredId('audioinput'), exact = false) {
+    const processing = AudioProcessing.getBrowserProcessing();
+    if (!deviceId) return processing;
+    return { ...processing, deviceId: exact ? { exact: deviceId } : { ideal: deviceId } };
+  },
+
+  getVideoConstraints(deviceId = this.getPreferredId('videoinput'), exact = false) {
+    const capture = Bandwidth.getCaptureConstraints();
+    if (!deviceId) return { facingMode: 'user', ...capture };
+    return { ...capture, deviceId: exact ? { exact: deviceId } : { ideal: deviceId } };
+  },
+
+  getActiveId(kind) {
+    if (kind === 'audiooutput') return VideoGrid.audioOutputId || 'default';
+
+    const localStream = StateManager.getLocalStream();
+    if (!localStream) return null;
+
+    const track = kind === 'audioinput' ? localStream.getAudioTracks()[0] : localStream.getVideoTracks()[0];
+    const source = getSourceTrack(track);
+    return source ? source.getSettings().deviceId || null : null;
+  },
+
+  // =============================================================================
+  // SWITCHING
+  // =============================================================================
+  async selectInput(kind, deviceId, remember = true) {
+    const localStream = StateManager.getLocalStream();
+    if (!localStream) return false;
+
+    const isVideo = kind === 'videoinput';
+    const previousId = this.getActiveId(kind);
+    // Phones can't open a second camera while the first one is running
+    if (isVideo) localStream.getVideoTracks().forEach(track => VideoEffects.stop(track));
+
+    const open = async (id, exact) => {
+      const stream = await navigator.mediaDevices.getUserMedia(isVideo
+        ? { video: this.getVideoConstraints(id, exact), audio: false }
+        : { audio: this.getAudioConstraints(id, exact), video: false });
+      return isVideo ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+    };
+
+    let newTrack = null;
+    try {
+      newTrack = await open(deviceId, true);
+      await WebRTC.replaceLocalTrack(newTrack);
+    } catch (error) {
+      if (newTrack) newTrack.stop();
+      UI.showSnackbar(`Couldn't switch the ${getKindLabel(kind).toLowerCase()}`);
+      // The old camera is already stopped, so bring it back
+      if (isVideo) {
+        try {
+          await WebRTC.replaceLocalTrack(await open(previousId, false));
+        } catch (restoreError) {
+          // Left without a camera; picking one from the menu retries
+        }
+      }
+      return false;
+    }
+
+    const device = this.getDevices(kind).find(entry => entry.deviceId === deviceId);
+    if (remember && device) this.savePreference(device);
+    return true;
+  },
+
+  async selectOutput(deviceId, remember = true) {
+    await VideoGrid.setAudioOutput(deviceId === 'default' ? '' : deviceId);
+
+    const device = this.getDevices('audiooutput').find(entry => entry.deviceId === deviceId);
+    if (remember && device) this.savePreference(device);
+  },
+
+  async applyPreferredOutput() {
+    const deviceId = this.getPreferredId('audiooutput');
+    if (deviceId && this.isOutputSupported()) await this.selectOutput(deviceId, false);
+  },
+
+  async select(kind, deviceId) {
+    if (kind === 'audiooutput') {
+      await this.selectOutput(deviceId);
+    } else {
+      await this.selectInput(kind, deviceId);
+    }
+    if (this.menu && this.menu.isOpen()) this.renderMenu();
+  },
+
+  // =============================================================================
+  // HOT-PLUG
+  // =============================================================================
+  async handleDeviceChange() {
+    const previousIds = new Set(this.devices.map(device => device.deviceId));
+    await this.refresh();
+
+    if (StateManager.getLocalStream()) {
+      for (const kind of ['audioinput', 'videoinput']) {
+        await this.checkInput(kind, previousIds);
+      }
+    }
+    await this.checkOutput(previousIds);
+
+    if (this.menu && this.menu.isOpen()) this.renderMenu();
+  },
+
+  async checkInput(kind, previousIds) {
+    const localStream = StateManager.getLocalStream();
+    const track = getSourceTrack(kind === 'audioinput'
+      ? localStream.getAudioTracks()[0]
+      : localStream.getVideoTracks()[0]);
+    if (!track) return;
+
+    const devices = this.getDevices(kind);
+    const activeId = track.getSettings().deviceId;
+    const preferredId = this.getPreferredId(kind);
+    const label = getKindLabel(kind);
+
+    const isGone = track.readyState === 'ended' || !devices.some(device => device.deviceId === activeId);
+    if (isGone) {
+      const fallback = devices.find(device => device.deviceId === preferredId) || devices[0];
+      if (!fallback) {
+        UI.showSnackbar(`${label} disconnected`);
+        return;
+      }
+      if (await this.selectInput(kind, fallback.deviceId, false)) {
+        UI.showSnackbar(`${label} disconnected, switched to ${getDeviceName(fallback, devices.indexOf(fallback))}`);
+      }
+      return;
+    }
+
+    // The remembered device was plugged back in
+    if (preferredId && preferredId !== activeId && !previousIds.has(preferredId)) {
+      const device = devices.find(entry => entry.deviceId === preferredId);
+      if (await this.selectInput(kind, preferredId, false)) {
+        UI.showSnackbar(`Switched to ${getDeviceName(device, devices.indexOf(device))}`);
+      }
+    }
+  },
+
+  async checkOutput(previousIds) {
+    if (!this.isOutputSupported()) return;
+
+    const devices = this.getDevices('audiooutput');
+    const activeId = VideoGrid.audioOutputId;
+    const preferredId = this.getPreferredId('audiooutput');
+
+    if (activeId && !devices.some(device => device.deviceId === activeId)) {
+      await this.selectOutput('default', false);
+      UI.showSnackbar('Speaker disconnected, using the default output');
+    } else if (preferredId && preferredId !== activeId && !previousIds.has(preferredId)) {
+      await this.selectOutput(preferredId, false);
+    }
+  },
+
+  // =============================================================================
+  // MENU
+  // =============================================================================
+  renderMenu() {
+    const menu = DOM.devicesMenu;
+    if (!menu) return;
+
+    menu.innerHTML = '';
+
+    KINDS.forEach(({ kind, label }) => {
+      const devices = this.getDevices(kind);
+      if (devices.length === 0) return;
+
+      const title = document.createElement('div');
+      title.className = 'control-menu-title';
+      title.textContent = label;
+      menu.appendChild(title);
+
+      const activeId = this.getActiveId(kind);
+      devices.forEach((device, index) => {
+        const item = createMenuItem('menuitemradio', getDeviceName(device, index));
+        item.setAttribute('aria-checked', String(device.deviceId === activeId));
+        item.addEventListener('click', () => {
+          this.menu.close();
+          this.select(kind, device.deviceId);
+        });
+        menu.appendChild(item);
+      });
+    });
+
+    if (!menu.firstChild) {
+      const empty = document.createElement('div');
+      empty.className = 'control-menu-title';
+      empty.textContent = 'No devices found';
+      menu.appendChild(empty);
+    }
+  }
+};
@@ -0,0 +1,107 @@
+// =============================================================================
+// MEDIA ENCRYPTION WORKER
+// Encrypts outgoing and decrypts incoming encoded frames with AES-GCM
+// =============================================================================
+//
+// Frame layout: [clear codec header][ciphertext + tag][12-byte IV]
+
+const IV_LENGTH = 12;
+const ERROR_REPORT_INTERVAL = 5000;
+
+// Bytes left in the clear so the packetizer can still read codec headers.
+// Audio frames have no `type`; video frames are 'key' or 'delta'
+const CLEAR_BYTES = { key: 10, delta: 3, audio: 1 };
+
+let key = null;
+let lastErrorReport = 0;
+
+function clearByteCount(frame) {
+  if (frame.type === undefined) return CLEAR_BYTES.audio;
+  return frame.type === 'key' ? CLEAR_BYTES.key : CLEAR_BYTES.delta;
+}
+
+async function encryptFrame(frame, controller) {
+  // Drop rather than leak plaintext before the key arrives
+  if (!key) return;
+
+  const data = new Uint8Array(frame.data);
+  if (data.length === 0) {
+    controller.enqueue(frame);
+    return;
+  }
+
+  const headerLength = Math.min(clearByteCount(frame), data.length);
+  const header = data.subarray(0, headerLength);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    key,
+    data.subarray(headerLength)
+  ));
+
+  const output = new Uint8Array(headerLength + ciphertext.length + IV_LENGTH);
+  output.set(header);
+  output.set(ciphertext, headerLength);
+  output.set(iv, headerLength + ciphertext.length);
+
+  frame.data = output.buffer;
+  controller.enqueue(frame);
+}
+
+async function decryptFrame(frame, controller) {
+  if (!key) return;
+
+  const data = new Uint8Array(frame.data);
+  if (data.length === 0) {
+    controller.enqueue(frame);
+    return;
+  }
+
+  const headerLength = Math.min(clearByteCount(frame), data.length);
+
+  try {
+    const header = data.subarray(0, headerLength);
+    const iv = data.subarray(data.length - IV_LENGTH);
+    const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: header },
+      key,
+      data.subarray(headerLength, data.length - IV_LENGTH)
+    ));
+
+    const output = new Uint8Array(headerLength + plaintext.length);
+    output.set(header);
+    output.set(plaintext, headerLength);
+
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+  } catch (error) {
+    // Undecryptable frames are dropped; tell the page now and then
+    const now = Date.now();
+    if (now - lastErrorReport > ERROR_REPORT_INTERVAL) {
+      lastErrorReport = now;
+      self.postMessage({ type: 'decrypt-error' });
+    }
+  }
+}
+
+function setupTransform({ operation, readable, writable }) {
+  const transform = new TransformStream({
+    transform: operation === 'encrypt' ? encryptFrame : decryptFrame
+  });
+  readable.pipeThrough(transform).pipeTo(writable).catch(() => {});
+}
+
+// RTCRtpScriptTransform (Safari, Firefox, recent Chrome)
+self.onrtctransform = (event) => {
+  const { readable, writable, options } = event.transformer;
+  setupTransform({ operation: options.operation, readable, writable });
+};
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'key') {
+    key = await crypto.subtle.importKey('raw', data.key, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  } else if (data.type === 'transform') {
+    // Insertable streams fallback (older Chrome)
+    setupTransform(data);
+  }
+};
@@ -0,0 +1,602 @@
+// =============================================================================
+// FILE TRANSFER MODULE
+// Peer-to-peer file sending over a negotiated RTCDataChannel per participant
+// =============================================================================
+//
+// Control messages are JSON strings, file data is binary:
+//   sender   -> { type: 'offer', id, name, size }
+//   receiver -> { type: 'accept' | 'decline', id }
+//   sender   -> { type: 'start', id }, binary chunks, { type: 'complete', id, hash }
+//   receiver -> { type: 'result', id, ok }
+//   either   -> { type: 'cancel', id }
+// `id` is always chosen by the sending side. Hashing and storage of received
+// data happen in file-worker.js so large files never sit in page memory.
+
+import { DOM } from './state.js';
+import { UI } from './ui-controls.js';
+import { Participants } from './participants.js';
+
+export const FILE_CHANNEL_ID = 1;
+
+const CHUNK_SIZE = 64 * 1024;
+const BUFFER_HIGH_WATER = 4 * 1024 * 1024;
+const BUFFER_LOW_WATER = 1024 * 1024;
+const MAX_NAME_LENGTH = 255;
+
+// Received files are typed by their name only: a peer-chosen type such as
+// text/html must never render from our own origin
+const RECEIVED_MIME_TYPE = 'application/octet-stream';
+
+const links = new Map();
+const transfers = new Map();
+const fileHashes = new WeakMap();
+const workerJobs = new Map();
+let worker = null;
+
+function generateId() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(8)))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function transferKey(peerId, direction, id) {
+  return `${peerId}/${direction}/${id}`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+function participantLabel(peerId) {
+  const participant = Participants.get(peerId);
+  return participant ? participant.label : 'Participant';
+}
+
+// Keep only a plain file name; it is used as the download name
+function sanitizeName(name) {
+  const base = String(name).split(/[\\/]/).pop().replace(/[\u0000-\u001f]/g, '').trim();
+  return base.slice(0, MAX_NAME_LENGTH) || 'file';
+}
+
+function waitForDrain(channel) {
+  return new Promise(resolve => {
+    const done = () => {
+      channel.removeEventListener('bufferedamountlow', done);
+      channel.removeEventListener('close', done);
+      resolve();
+    };
+    channel.addEventListener('bufferedamountlow', done);
+    channel.addEventListener('close', done);
+  });
+}
+
+// =============================================================================
+// WORKER
+// =============================================================================
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./file-worker.js', import.meta.url));
+  worker.onmessage = ({ data }) => {
+    const job = workerJobs.get(data.jobId);
+    if (!job) {
+      // Writes are fire-and-forget, so a storage failure arrives unannounced
+      if (data.type === 'error') FileTransfer.handleWorkerError(data.jobId);
+      return;
+    }
+
+    workerJobs.delete(data.jobId);
+    if (data.type === 'error') {
+      job.reject(new Error(data.message));
+    } else {
+      job.resolve(data);
+    }
+  };
+  return worker;
+}
+
+function runWorkerJob(message) {
+  return new Promise((resolve, reject) => {
+    workerJobs.set(message.jobId, { resolve, reject });
+    getWorker().postMessage(message);
+  });
+}
+
+// Sending one file to several people hashes it only once
+function hashFile(file) {
+  if (!fileHashes.has(file)) {
+    fileHashes.set(file, runWorkerJob({ type: 'hash', jobId: generateId(), file }).then(result => result.hash));
+  }
+  return fileHashes.get(file);
+}
+
+export const FileTransfer = {
+  init() {
+    // Partial files left by a previous page load
+    getWorker().postMessage({ type: 'clear' });
+
+    if (DOM.sendFileBtn && DOM.fileInput) {
+      DOM.sendFileBtn.addEventListener('click', () => DOM.fileInput.click());
+      DOM.fileInput.addEventListener('change', () => {
+        this.sendFiles(Array.from(DOM.fileInput.files));
+        DOM.fileInput.value = '';
+      });
+    }
+
+    if (DOM.transferList) {
+      DOM.transferList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        const card = event.target.closest('.transfer-card');
+        if (button && card) this.handleAction(card.dataset.key, button.dataset.action);
+      });
+    }
+
+    this.attachDropTarget();
+  },
+
+  attachDropTarget() {
+    const videoApp = document.getElementById('videoApp');
+    if (!videoApp) return;
+
+    let dragDepth = 0;
+    const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
+
+    videoApp.addEventListener('dragenter', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth++;
+      videoApp.classList.add('drop-active');
+    });
+
+    videoApp.addEventListener('dragover', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    });
+
+    videoApp.addEventListener('dragleave', () => {
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (dragDepth === 0) videoApp.classList.remove('drop-active');
+    });
+
+    videoApp.addEventListener('drop', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth = 0;
+      videoApp.classList.remove('drop-active');
+      this.sendFiles(Array.from(event.dataTransfer.files));
+    });
+  },
+
+  // =============================================================================
+  // CHANNELS
+  // =============================================================================
+  attach(participant) {
+    const channel = participant.session.createDataChannel('files', FILE_CHANNEL_ID);
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = BUFFER_LOW_WATER;
+
+    const link = { channel, sending: Promise.resolve(), incomingKey: null };
+    channel.onmessage = (event) => this.handleChannelMessage(participant.peerId, event.data);
+    channel.onclose = () => this.failPeerTransfers(participant.peerId, 'Connection closed');
+    links.set(participant.peerId, link);
+  },
+
+  detach(peerId) {
+    this.failPeerTransfers(peerId, `${participantLabel(peerId)} left the call`);
+    links.delete(peerId);
+  },
+
+  sendControl(peerId, message) {
+    const link = links.get(peerId);
+    if (!link || link.channel.readyState !== 'open') return false;
+    link.channel.send(JSON.stringify(message));
+    return true;
+  },
+
+  getChunkSize(peerId) {
+    const participant = Participants.get(peerId);
+    const sctp = participant && participant.session.connection.sctp;
+    return sctp && sctp.maxMessageSize ? Math.min(CHUNK_SIZE, sctp.maxMessageSize) : CHUNK_SIZE;
+  },
+
+  handleChannelMessage(peerId, data) {
+    if (typeof data !== 'string') {
+      this.handleChunk(peerId, data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    if (!message || typeof message.id !== 'string') return;
+
+    const outgoing = transfers.get(transferKey(peerId, 'outgoing', message.id));
+    const incoming = transfers.get(transferKey(peerId, 'incoming', message.id));
+
+    switch (message.type) {
+      case 'offer': this.handleOffer(peerId, message); break;
+      case 'accept': if (outgoing) this.handleAccept(outgoing); break;
+      case 'decline': if (outgoing && outgoing.status === 'offered') this.stopTransfer(outgoing, 'declined'); break;
+      case 'result': if (outgoing) this.handleResult(outgoing, message.ok === true); break;
+      case 'start': if (incoming) this.handleStart(incoming); break;
+      case 'complete': if (incoming) this.handleComplete(incoming, message.hash); break;
+      case 'cancel':
+        if (outgoing) this.stopTransfer(outgoing, 'cancelled');
+        if (incoming) this.stopTransfer(incoming, 'cancelled');
+        break;
+    }
+  },
+
+  // =============================================================================
+  // SENDING
+  // =============================================================================
+  sendFiles(files) {
+    if (files.length === 0) return;
+
+    const peerIds = Array.from(links.keys()).filter(peerId => links.get(peerId).channel.readyState === 'open');
+    if (peerIds.length === 0) {
+      UI.showSnackbar('Nobody is connected to send files to');
+      return;
+    }
+
+    files.forEach(file => peerIds.forEach(peerId => this.offer(peerId, file)));
+  },
+
+  offer(peerId, file) {
+    const transfer = this.addTransfer({
+      id: generateId(),
+      peerId,
+      direction: 'outgoing',
+      name: file.name,
+      size: file.size,
+      file
+    });
+
+    // Start hashing while the other side decides
+    hashFile(file).catch(() => {});
+    this.sendControl(peerId, {
+      type: 'offer',
+      id: transfer.id,
+      name: transfer.name,
+      size: transfer.size
+    });
+  },
+
+  handleAccept(transfer) {
+    if (transfer.status !== 'offered') return;
+
+    // One file at a time per participant keeps the channel's byte stream unambiguous
+    const link = links.get(transfer.peerId);
+    this.setStatus(transfer, 'queued');
+    link.sending = link.sending
+      .then(() => this.streamFile(transfer, link.channel))
+      .catch(error => this.stopTransfer(transfer, 'failed', error.message));
+  },
+
+  async streamFile(transfer, channel) {
+    if (transfer.status !== 'queued') return;
+
+    this.setStatus(transfer, 'transferring');
+    this.sendControl(transfer.peerId, { type: 'start', id: transfer.id });
+
+    const chunkSize = this.getChunkSize(transfer.peerId);
+    for (let offset = 0; offset < transfer.size; offset += chunkSize) {
+      if (channel.bufferedAmount > BUFFER_HIGH_WATER) await waitForDrain(channel);
+
+      const chunk = await transfer.file.slice(offset, offset + chunkSize).arrayBuffer();
+      if (transfer.status !== 'transferring') return;
+      if (channel.readyState !== 'open') throw new Error('Connection closed');
+
+      channel.send(chunk);
+      transfer.transferred = offset + chunk.byteLength;
+      this.renderProgress(transfer);
+    }
+
+    this.setStatus(transfer, 'verifying');
+    const hash = await hashFile(transfer.file);
+    if (transfer.status !== 'verifying') return;
+    this.sendControl(transfer.peerId, { type: 'complete', id: transfer.id, hash });
+  },
+
+  handleResult(transfer, ok) {
+    if (transfer.status !== 'verifying') return;
+
+    if (ok) {
+      this.setStatus(transfer, 'done');
+    } else {
+      this.setStatus(transfer, 'failed', `${participantLabel(transfer.peerId)} could not verify the file`);
+    }
+  },
+
+  // =============================================================================
+  // RECEIVING
+  // =============================================================================
+  handleOffer(peerId, message) {
+    const size = Number(message.size);
+    if (!Number.isSafeInteger(size) || size < 0) return;
+    if (transfers.has(transferKey(peerId, 'incoming', message.id))) return;
+
+    const transfer = this.addTransfer({
+      id: message.id,
+      peerId,
+      direction: 'incoming',
+      name: sanitizeName(message.name),
+      size
+    });
+
+    UI.showSnackbar(`${participantLabel(peerId)} wants to send ${transfer.name}`);
+  },
+
+  accept(transfer) {
+    if (transfer.status !== 'offered') return;
+
+    transfer.jobId = generateId();
+    getWorker().postMessage({ type: 'receive-start', jobId: transfer.jobId });
+    this.setStatus(transfer, 'queued');
+    this.sendControl(transfer.peerId, { type: 'accept', id: transfer.id });
+  },
+
+  decline(transfer) {
+    if (transfer.status !== 'offered') return;
+
+    this.sendControl(transfer.peerId, { type: 'decline', id: transfer.id });
+    this.setStatus(transfer, 'declined');
+  },
+
+  handleStart(transfer) {
+    if (transfer.status !== 'queued') return;
+
+    links.get(transfer.peerId).incomingKey = transfer.key;
+    this.setStatus(transfer, 'transferring');
+  },
+
+  handleChunk(peerId, buffer) {
+    const link = links.get(peerId);
+    const transfer = link && transfers.get(link.incomingKey);
+
+    // Chunks still in flight after a cancel are dropped here
+    if (!transfer || transfer.status !== 'transferring') return;
+
+    if (transfer.transferred + buffer.byteLength > transfer.size) {
+      this.cancel(transfer, 'failed', 'Received more data than announced');
+      return;
+    }
+
+    transfer.transferred += buffer.byteLength;
+    getWorker().postMessage({ type: 'receive-chunk', jobId: transfer.jobId, chunk: buffer }, [buffer]);
+    this.renderProgress(transfer);
+  },
+
+  async handleComplete(transfer, expectedHash) {
+    if (transfer.status !== 'transferring') return;
+
+    links.get(transfer.peerId).incomingKey = null;
+    if (transfer.transferred !== transfer.size) {
+      this.cancel(transfer, 'failed', 'The file arrived incomplete');
+      return;
+    }
+
+    this.setStatus(transfer, 'verifying');
+
+    try {
+      const result = await runWorkerJob({ type: 'receive-end', jobId: transfer.jobId, mimeType: RECEIVED_MIME_TYPE });
+      if (transfer.status !== 'verifying') return;
+
+      // Nothing is offered for download unless it matches what was sent
+      if (result.hash !== expectedHash) {
+        getWorker().postMessage({ type: 'discard', jobId: transfer.jobId });
+        this.sendControl(transfer.peerId, { type: 'result', id: transfer.id, ok: false });
+        this.setStatus(transfer, 'failed', 'Integrity check failed, file discarded');
+        return;
+      }
+
+      transfer.url = URL.createObjectURL(result.file);
+      this.sendControl(transfer.peerId, { type: 'result', id: transfer.id, ok: true });
+      this.setStatus(transfer, 'done');
+    } catch (error) {
+      this.cancel(transfer, 'failed', 'Could not store the file');
+    }
+  },
+
+  // =============================================================================
+  // CANCEL AND CLEANUP
+  // =============================================================================
+  isActive(transfer) {
+    return ['offered', 'queued', 'transferring', 'verifying'].includes(transfer.status);
+  },
+
+  // Local cancel: tell the other side, then stop
+  cancel(transfer, status = 'cancelled', error = null) {
+    if (!this.isActive(transfer)) return;
+
+    this.sendControl(transfer.peerId, { type: 'cancel', id: transfer.id });
+    this.stopTransfer(transfer, status, error);
+  },
+
+  stopTransfer(transfer, status, error = null) {
+    if (!this.isActive(transfer)) return;
+
+    const link = links.get(transfer.peerId);
+    if (link && link.incomingKey === transfer.key) link.incomingKey = null;
+
+    if (transfer.direction === 'incoming' && transfer.jobId) {
+      getWorker().postMessage({ type: 'receive-abort', jobId: transfer.jobId });
+      getWorker().postMessage({ type: 'discard', jobId: transfer.jobId });
+
+      const job = workerJobs.get(transfer.jobId);
+      workerJobs.delete(transfer.jobId);
+      if (job) job.reject(new Error('Transfer stopped'));
+    }
+
+    this.setStatus(transfer, status, error);
+  },
+
+  handleWorkerError(jobId) {
+    transfers.forEach(transfer => {
+      if (transfer.jobId === jobId) this.cancel(transfer, 'failed', 'Could not store the file');
+    });
+  },
+
+  failPeerTransfers(peerId, reason) {
+    transfers.forEach(transfer => {
+      if (transfer.peerId === peerId) this.stopTransfer(transfer, 'failed', reason);
+    });
+  },
+
+  dismiss(transfer) {
+    this.cancel(transfer);
+
+    if (transfer.url) URL.revokeObjectURL(transfer.url);
+    if (transfer.jobId) getWorker().postMessage({ type: 'discard', jobId: transfer.jobId });
+    if (transfer.element) transfer.element.remove();
+    transfers.delete(transfer.key);
+  },
+
+  // Called when the call ends; received files are only kept for the call
+  reset() {
+    Array.from(transfers.values()).forEach(transfer => this.dismiss(transfer));
+    links.clear();
+  },
+
+  handleAction(key, action) {
+    const transfer = transfers.get(key);
+    if (!transfer) return;
+
+    switch (action) {
+      case 'accept': this.accept(transfer); break;
+      case 'decline': this.decline(transfer); break;
+      case 'cancel': this.cancel(transfer); break;
+      case 'dismiss': this.dismiss(transfer); break;
+    }
+  },
+
+  // =============================================================================
+  // RENDERING
+  // =============================================================================
+  addTransfer(details) {
+    const transfer = {
+      status: 'offered',
+      transferred: 0,
+      jobId: null,
+      url: null,
+      error: null,
+      element: null,
+      ...details
+    };
+    transfer.key = transferKey(transfer.peerId, transfer.direction, transfer.id);
+    transfers.set(transfer.key, transfer);
+
+    if (DOM.transferList) {
+      const card = document.createElement('div');
+      card.className = `transfer-card transfer-card--${transfer.direction}`;
+      card.dataset.key = transfer.key;
+      card.innerHTML = `
+        <span class="material-symbols-outlined transfer-icon">${transfer.direction === 'outgoing' ? 'upload' : 'download'}</span>
+        <div class="transfer-body">
+          <div class="transfer-name"></div>
+          <div class="transfer-status"></div>
+          <div class="transfer-progress"><div class="transfer-progress-bar"></div></div>
+        </div>
+        <div class="transfer-actions"></div>
+      `;
+      card.querySelector('.transfer-name').textContent = transfer.name;
+      card.querySelector('.transfer-name').title = transfer.name;
+      DOM.transferList.appendChild(card);
+      transfer.element = card;
+    }
+
+    this.render(transfer);
+    return transfer;
+  },
+
+  setStatus(transfer, status, error = null) {
+    transfer.status = status;
+    transfer.error = error;
+    this.render(transfer);
+  },
+
+  describe(transfer) {
+    const label = participantLabel(transfer.peerId);
+    const incoming = transfer.direction === 'incoming';
+
+    switch (transfer.status) {
+      case 'offered':
+        return incoming ? `${label} · ${formatBytes(transfer.size)}` : `Waiting for ${label} to accept`;
+      case 'queued':
+        return incoming ? 'Waiting for data…' : `Queued for ${label}`;
+      case 'transferring':
+        return `${formatBytes(transfer.transferred)} of ${formatBytes(transfer.size)}`;
+      case 'verifying':
+        return 'Verifying…';
+      case 'done':
+        return incoming ? `${formatBytes(transfer.size)} · verified` : `Delivered to ${label}`;
+      case 'declined':
+        return incoming ? 'Declined' : `${label} declined`;
+      case 'cancelled':
+        return 'Cancelled';
+      default:
+        return transfer.error || 'Transfer failed';
+    }
+  },
+
+  renderProgress(transfer) {
+    if (!transfer.element) return;
+
+    const percent = transfer.size === 0 ? 100 : (transfer.transferred / transfer.size) * 100;
+    transfer.element.querySelector('.transfer-progress-bar').style.width = `${percent}%`;
+    transfer.element.querySelector('.transfer-status').textContent = this.describe(transfer);
+  },
+
+  render(transfer) {
+    if (!transfer.element) return;
+
+    const card = transfer.element;
+    card.dataset.status = transfer.status;
+    this.renderProgress(transfer);
+
+    const actions = card.querySelector('.transfer-actions');
+    actions.innerHTML = '';
+
+    const addButton = (action, icon, label) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'transfer-action';
+      button.dataset.action = action;
+      button.setAttribute('aria-label', label);
+      button.title = label;
+      button.innerHTML = `<span class="material-symbols-outlined">${icon}</span>`;
+      actions.appendChild(button);
+    };
+
+    if (transfer.status === 'offered' && transfer.direction === 'incoming') {
+      addButton('accept', 'check', 'Accept');
+      addButton('decline', 'close', 'Decline');
+    } else if (this.isActive(transfer)) {
+      addButton('cancel', 'cancel', 'Cancel');
+    } else {
+      if (transfer.url) {
+        const link = document.createElement('a');
+        link.className = 'transfer-action';
+        link.href = transfer.url;
+        link.download = transfer.name;
+        link.title = 'Save';
+        link.setAttribute('aria-label', 'Save');
+        link.innerHTML = '<span class="material-symbols-outlined">save_alt</span>';
+        actions.appendChild(link);
+      }
+      addButton('dismiss', 'close', 'Dismiss');
+    }
+  }
+};
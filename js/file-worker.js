@@ -0,0 +1,258 @@
+// =============================================================================
+// FILE TRANSFER WORKER
+// Incremental SHA-256 and off-thread storage for file transfers
+// =============================================================================
+//
+// WebCrypto can only hash a complete buffer, so files are hashed here chunk by
+// chunk instead. Incoming files are written to the origin private file system
+// when available, otherwise collected as Blob parts the browser can page out.
+
+const HASH_READ_SIZE = 1024 * 1024;
+const BLOB_FLUSH_SIZE = 8 * 1024 * 1024;
+const STORAGE_DIRECTORY = 'transfers';
+
+// =============================================================================
+// SHA-256
+// =============================================================================
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function createSha256() {
+  const state = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const words = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLength = 0;
+  let totalLength = 0;
+
+  function compress(bytes, offset) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = words[i - 15];
+      const w2 = words[i - 2];
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+      words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+    }
+
+    let a = state[0], b = state[1], c = state[2], d = state[3];
+    let e = state[4], f = state[5], g = state[6], h = state[7];
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + words[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+
+    state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+    state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+  }
+
+  return {
+    update(bytes) {
+      let offset = 0;
+      totalLength += bytes.length;
+
+      if (blockLength > 0) {
+        const take = Math.min(64 - blockLength, bytes.length);
+        block.set(bytes.subarray(0, take), blockLength);
+        blockLength += take;
+        offset = take;
+        if (blockLength < 64) return;
+        compress(block, 0);
+        blockLength = 0;
+      }
+
+      for (; offset + 64 <= bytes.length; offset += 64) {
+        compress(bytes, offset);
+      }
+
+      block.set(bytes.subarray(offset), 0);
+      blockLength = bytes.length - offset;
+    },
+
+    digest() {
+      const bitLength = totalLength * 8;
+      const padding = new Uint8Array(((blockLength < 56 ? 56 : 120) - blockLength) + 8);
+      padding[0] = 0x80;
+      const view = new DataView(padding.buffer);
+      view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+      view.setUint32(padding.length - 4, bitLength >>> 0);
+      this.update(padding);
+
+      return Array.from(state)
+        .map(word => word.toString(16).padStart(8, '0'))
+        .join('');
+    }
+  };
+}
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+async function getStorageDirectory() {
+  if (!navigator.storage || !navigator.storage.getDirectory) return null;
+
+  try {
+    const root = await navigator.storage.getDirectory();
+    const directory = await root.getDirectoryHandle(STORAGE_DIRECTORY, { create: true });
+    // Sync access handles are what make writes cheap; without them use Blobs
+    return typeof FileSystemFileHandle.prototype.createSyncAccessHandle === 'function' ? directory : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function createSink(jobId) {
+  const directory = await getStorageDirectory();
+
+  if (directory) {
+    const fileHandle = await directory.getFileHandle(jobId, { create: true });
+    const access = await fileHandle.createSyncAccessHandle();
+    access.truncate(0);
+    let position = 0;
+
+    return {
+      write(bytes) {
+        position += access.write(bytes, { at: position });
+      },
+      async finish(type) {
+        access.flush();
+        access.close();
+        const file = await fileHandle.getFile();
+        return type ? new Blob([file], { type }) : file;
+      },
+      async abort() {
+        try { access.close(); } catch (error) { /* already closed */ }
+        await directory.removeEntry(jobId).catch(() => {});
+      }
+    };
+  }
+
+  // Folding chunks into Blobs releases the ArrayBuffers as we go
+  let parts = [];
+  let pending = [];
+  let pendingSize = 0;
+
+  return {
+    write(bytes) {
+      pending.push(bytes);
+      pendingSize += bytes.length;
+      if (pendingSize >= BLOB_FLUSH_SIZE) {
+        parts.push(new Blob(pending));
+        pending = [];
+        pendingSize = 0;
+      }
+    },
+    async finish(type) {
+      return new Blob([...parts, ...pending], { type });
+    },
+    async abort() {
+      parts = [];
+      pending = [];
+    }
+  };
+}
+
+// =============================================================================
+// JOBS
+// =============================================================================
+const receiveJobs = new Map();
+
+async function hashFile(jobId, file) {
+  const hash = createSha256();
+  for (let offset = 0; offset < file.size; offset += HASH_READ_SIZE) {
+    const buffer = await file.slice(offset, offset + HASH_READ_SIZE).arrayBuffer();
+    hash.update(new Uint8Array(buffer));
+  }
+  self.postMessage({ type: 'hashed', jobId, hash: hash.digest() });
+}
+
+// Each receive job is a promise chain, so chunks apply in arrival order even
+// while the sink is still being opened
+function queueReceive(jobId, task) {
+  const job = receiveJobs.get(jobId);
+  if (!job) return;
+
+  job.queue = job.queue.then(() => receiveJobs.get(jobId) === job && task(job)).catch(error => {
+    receiveJobs.delete(jobId);
+    job.sink.then(sink => sink && sink.abort()).catch(() => {});
+    self.postMessage({ type: 'error', jobId, message: error.message });
+  });
+}
+
+async function clearStorage() {
+  const directory = await getStorageDirectory();
+  if (!directory) return;
+
+  for await (const name of directory.keys()) {
+    await directory.removeEntry(name).catch(() => {});
+  }
+}
+
+self.onmessage = ({ data }) => {
+  const { type, jobId } = data;
+
+  switch (type) {
+    case 'hash':
+      hashFile(jobId, data.file).catch(error => {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+      });
+      break;
+
+    case 'receive-start': {
+      const sink = createSink(jobId);
+      receiveJobs.set(jobId, { sink, hash: createSha256(), queue: sink });
+      break;
+    }
+
+    case 'receive-chunk':
+      queueReceive(jobId, async (job) => {
+        const bytes = new Uint8Array(data.chunk);
+        job.hash.update(bytes);
+        (await job.sink).write(bytes);
+      });
+      break;
+
+    case 'receive-end':
+      queueReceive(jobId, async (job) => {
+        const file = await (await job.sink).finish(data.mimeType);
+        receiveJobs.delete(jobId);
+        self.postMessage({ type: 'received', jobId, hash: job.hash.digest(), file });
+      });
+      break;
+
+    case 'receive-abort':
+      queueReceive(jobId, async (job) => {
+        receiveJobs.delete(jobId);
+        await (await job.sink).abort();
+      });
+      break;
+
+    case 'discard':
+      getStorageDirectory()
+        .then(directory => directory && directory.removeEntry(jobId))
+        .catch(() => {});
+      break;
+
+    case 'clear':
+      clearStorage().catch(() => {});
+      break;
+  }
+};
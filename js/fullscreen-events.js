@@ -5,6 +5,19 @@
 
 import { AppState, DOM, StateManager } from './state.js';
 import { VideoMode, UI, MediaControls } from './ui-controls.js';
+import { VideoGrid, LOCAL_TILE_ID } from './video-grid.js';
+import { Chat } from './chat.js';
+import { FileTransfer } from './file-transfer.js';
+import { ScreenShare } from './screen-share.js';
+import { Recorder } from './recorder.js';
+import { CallStats } from './stats.js';
+import { Bandwidth } from './bandwidth.js';
+import { Devices } from './devices.js';
+import { VideoEffects } from './video-effects.js';
+import { AudioProcessing } from './audio-processing.js';
+import { PictureInPicture } from './picture-in-picture.js';
+import { Lobby } from './lobby.js';
+import { MediaState } from './media-state.js';
 
 // =============================================================================
 // UTILITY FUNCTIONS
@@ -60,65 +73,60 @@ export const Utils = {
 // =============================================================================
 export const FullscreenManager = {
   toggleLocalFullscreen() {
-    const newState = !StateManager.isLocalFullscreen();
-    StateManager.setLocalFullscreen(newState);
-    
-    if (newState) {
-      // In clutter-free mode, don't use the fullscreen class that might interfere
-      if (StateManager.isClutterFree()) {
-        // Create a custom fullscreen overlay for clutter-free mode
-        this.createVideoOverlay(DOM.localVideo, 'local');
-      } else {
-        DOM.localVideoHalf.classList.add('video-half--fullscreen');
-      }
-      
-      VideoMode.apply(DOM.localVideo); // Ensure mode is applied
-      
-      if (StateManager.isRemoteFullscreen()) {
-        this.exitRemoteFullscreen();
-      }
+    this.toggleTileFullscreen(LOCAL_TILE_ID);
+  },
+
+  // Works on any tile in the grid; only one tile is fullscreen at a time
+  toggleTileFullscreen(tileId) {
+    const currentTile = StateManager.getFullscreenTile();
+    if (currentTile) {
+      this.exitTileFullscreen();
+      if (currentTile === tileId) return;
+    }
+
+    const tile = VideoGrid.getTile(tileId);
+    if (!tile) return;
+
+    const video = tile.querySelector('.video-element');
+    StateManager.setFullscreenTile(tileId);
+
+    // In clutter-free mode, don't use the fullscreen class that might interfere
+    if (StateManager.isClutterFree()) {
+      // Create a custom fullscreen overlay for clutter-free mode
+      this.createVideoOverlay(video);
     } else {
-      if (StateManager.isClutterFree()) {
-        this.removeVideoOverlay('local');
-      } else {
-        DOM.localVideoHalf.classList.remove('video-half--fullscreen');
-      }
+      tile.classList.add('video-tile--fullscreen');
     }
+
+    VideoMode.apply(video); // Ensure mode is applied
   },
 
-  toggleRemoteFullscreen() {
-    const newState = !StateManager.isRemoteFullscreen();
-    StateManager.setRemoteFullscreen(newState);
-    
-    if (newState) {
-      // In clutter-free mode, don't use the fullscreen class that might interfere
-      if (StateManager.isClutterFree()) {
-        // Create a custom fullscreen overlay for clutter-free mode
-        this.createVideoOverlay(DOM.remoteVideo, 'remote');
-      } else {
-        DOM.remoteVideoHalf.classList.add('video-half--fullscreen');
-      }
-      
-      VideoMode.apply(DOM.remoteVideo); // Ensure mode is applied
-      
-      if (StateManager.isLocalFullscreen()) {
-        this.exitLocalFullscreen();
-      }
-    } else {
-      if (StateManager.isClutterFree()) {
-        this.removeVideoOverlay('remote');
-      } else {
-        DOM.remoteVideoHalf.classList.remove('video-half--fullscreen');
-      }
+  exitTileFullscreen() {
+    const tileId = StateManager.getFullscreenTile();
+    if (!tileId) return;
+
+    StateManager.setFullscreenTile(null);
+    this.removeVideoOverlay();
+
+    const tile = VideoGrid.getTile(tileId);
+    if (tile) {
+      tile.classList.remove('video-tile--fullscreen');
+    }
+  },
+
+  // Called when a participant leaves while their tile is fullscreen
+  handleTileRemoved(tileId) {
+    if (StateManager.getFullscreenTile() === tileId) {
+      this.exitTileFullscreen();
     }
   },
 
-  createVideoOverlay(videoElement, type) {
+  createVideoOverlay(videoElement) {
     // Remove any existing overlay first
-    this.removeVideoOverlay(type);
+    this.removeVideoOverlay();
     
     const overlay = document.createElement('div');
-    overlay.id = `${type}-video-overlay`;
+    overlay.id = 'tile-video-overlay';
     overlay.style.cssText = `
       position: fixed !important;
       top: 0 !important;
@@ -147,40 +155,16 @@ export const FullscreenManager = {
     document.body.appendChild(overlay);
     
     // Add click handler to exit fullscreen
-    overlay.addEventListener('click', () => {
-      if (type === 'local') {
-        this.toggleLocalFullscreen();
-      } else {
-        this.toggleRemoteFullscreen();
-      }
-    });
+    overlay.addEventListener('click', () => this.exitTileFullscreen());
   },
 
-  removeVideoOverlay(type) {
-    const overlay = document.getElementById(`${type}-video-overlay`);
+  removeVideoOverlay() {
+    const overlay = document.getElementById('tile-video-overlay');
     if (overlay) {
       overlay.remove();
     }
   },
 
-  exitLocalFullscreen() {
-    StateManager.setLocalFullscreen(false);
-    if (StateManager.isClutterFree()) {
-      this.removeVideoOverlay('local');
-    } else {
-      DOM.localVideoHalf.classList.remove('video-half--fullscreen');
-    }
-  },
-
-  exitRemoteFullscreen() {
-    StateManager.setRemoteFullscreen(false);
-    if (StateManager.isClutterFree()) {
-      this.removeVideoOverlay('remote');
-    } else {
-      DOM.remoteVideoHalf.classList.remove('video-half--fullscreen');
-    }
-  },
-
   async toggleClutterFree() {
     const newState = !StateManager.isClutterFree();
     StateManager.setClutterFree(newState);
@@ -229,17 +213,9 @@ export const FullscreenManager = {
       
       videoApp.classList.remove('clutter-free');
       
-      // Reset video fullscreens properly in clutter-free mode
-      if (StateManager.isLocalFullscreen()) {
-        this.exitLocalFullscreen();
-      }
-      if (StateManager.isRemoteFullscreen()) {
-        this.exitRemoteFullscreen();
-      }
-      
-      // Clean up any overlays
-      this.removeVideoOverlay('local');
-      this.removeVideoOverlay('remote');
+      // Reset video fullscreen and any overlay left from clutter-free mode
+      this.exitTileFullscreen();
+      this.removeVideoOverlay();
       
       fullscreenIcon.textContent = 'fullscreen';
     }
@@ -278,18 +254,39 @@ export const EventManager = {
       DOM.fullscreenBtn.addEventListener('click', () => FullscreenManager.toggleClutterFree());
     }
     
-    if (DOM.localVideoHalf) {
-      DOM.localVideoHalf.addEventListener('click', () => FullscreenManager.toggleLocalFullscreen());
+    if (DOM.waitingCopyLinkBtn) {
+      DOM.waitingCopyLinkBtn.addEventListener('click', () => this.copyRoomLink());
+    }
+    
+    if (DOM.knockCancelBtn) {
+      DOM.knockCancelBtn.addEventListener('click', () => MediaControls.endCall());
     }
     
-    if (DOM.remoteVideoHalf) {
-      DOM.remoteVideoHalf.addEventListener('click', () => FullscreenManager.toggleRemoteFullscreen());
+    // Delegated so tiles added mid-call work too
+    if (DOM.videoGrid) {
+      DOM.videoGrid.addEventListener('click', (event) => {
+        const tile = event.target.closest('.video-tile');
+        if (tile) FullscreenManager.toggleTileFullscreen(tile.dataset.peerId);
+      });
     }
     
     if (DOM.snackbarAction) {
       DOM.snackbarAction.addEventListener('click', () => UI.hideSnackbar());
     }
     
+    Chat.init();
+    FileTransfer.init();
+    ScreenShare.init();
+    Recorder.init();
+    CallStats.init();
+    Bandwidth.init();
+    Devices.init();
+    VideoEffects.init();
+    AudioProcessing.init();
+    PictureInPicture.init();
+    Lobby.init();
+    MediaState.init();
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (event) => this.handleKeyboardShortcuts(event));
     
@@ -312,8 +309,32 @@ export const EventManager = {
     AppState.eventHandlersAttached = true;
   },
 
+  // The address bar holds the shareable link for the current room
+  async copyRoomLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      UI.showSnackbar('Link copied to clipboard!');
+    } catch (error) {
+      UI.showSnackbar("Couldn't copy the link");
+    }
+  },
+
   handleKeyboardShortcuts(event) {
     if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+    // Leave browser shortcuts (Ctrl+R, Cmd+P, ...) alone, and the welcome
+    // screen and lobby have no call to act on
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (StateManager.getConnectionState() === 'idle') return;
+    
+    // 2-6 select remote participants in grid order
+    if (/^[2-6]$/.test(event.key)) {
+      const tileId = VideoGrid.getRemoteTileIds()[Number(event.key) - 2];
+      if (tileId) {
+        event.preventDefault();
+        FullscreenManager.toggleTileFullscreen(tileId);
+      }
+      return;
+    }
     
     switch (event.key.toLowerCase()) {
       case 'm': event.preventDefault(); MediaControls.toggleMicrophone(); break;
@@ -321,12 +342,15 @@ export const EventManager = {
       case 'f': event.preventDefault(); FullscreenManager.toggleClutterFree(); break;
       case 'c': event.preventDefault(); MediaControls.switchCamera(); break;
       case 'z': event.preventDefault(); VideoMode.toggle(); break;
+      case 't': event.preventDefault(); Chat.toggle(); break;
+      case 's': event.preventDefault(); ScreenShare.toggle(); break;
+      case 'r': event.preventDefault(); Recorder.toggle(); break;
+      case 'i': event.preventDefault(); CallStats.toggle(); break;
+      case 'p': event.preventDefault(); PictureInPicture.toggle(); break;
       case '1': event.preventDefault(); FullscreenManager.toggleLocalFullscreen(); break;
-      case '2': event.preventDefault(); FullscreenManager.toggleRemoteFullscreen(); break;
       case 'escape':
-        if (StateManager.isLocalFullscreen() || StateManager.isRemoteFullscreen()) {
-          if (StateManager.isLocalFullscreen()) FullscreenManager.toggleLocalFullscreen();
-          if (StateManager.isRemoteFullscreen()) FullscreenManager.toggleRemoteFullscreen();
+        if (StateManager.getFullscreenTile()) {
+          FullscreenManager.exitTileFullscreen();
         } else if (StateManager.isClutterFree()) {
           FullscreenManager.toggleClutterFree();
         }
@@ -346,13 +370,6 @@ export const EventManager = {
   },
 
   handleOrientationChange() {
-    if (StateManager.isLocalFullscreen()) {
-      DOM.localVideoHalf.classList.remove('video-half--fullscreen');
-      StateManager.setLocalFullscreen(false);
-    }
-    if (StateManager.isRemoteFullscreen()) {
-      DOM.remoteVideoHalf.classList.remove('video-half--fullscreen');
-      StateManager.setRemoteFullscreen(false);
-    }
+    FullscreenManager.exitTileFullscreen();
   }
 }; 
\ No newline at end of file
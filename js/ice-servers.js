@@ -0,0 +1,94 @@
+// =============================================================================
+// ICE SERVERS MODULE
+// Builds the RTCPeerConnection configuration from ice-config.js
+// =============================================================================
+
+import { iceConfig } from '../ice-config.js';
+
+// Refresh fetched credentials this long before they expire
+const CREDENTIAL_EXPIRY_MARGIN = 60 * 1000;
+
+function normalizeServer(server) {
+  return {
+    urls: server.urls || server.uris || server.url,
+    ...(server.username ? { username: server.username } : {}),
+    ...(server.credential || server.password ? { credential: server.credential || server.password } : {})
+  };
+}
+
+function isTurnServer(server) {
+  const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+  return urls.some(url => /^turns?:/.test(url));
+}
+
+export const IceServers = {
+  STORAGE_KEY: 'videoCall_relayOnly',
+  fetchedServers: null,
+  fetchedExpiresAt: 0,
+
+  // Relay-only mode hides host and reflexive addresses from the peer
+  isRelayOnly() {
+    try {
+      const saved = localStorage.getItem(this.STORAGE_KEY);
+      if (saved !== null) return saved === 'true';
+    } catch (error) {
+      // Fall through to the deployment default
+    }
+    return iceConfig.iceTransportPolicy === 'relay';
+  },
+
+  setRelayOnly(enabled) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, String(enabled));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async fetchCredentials() {
+    if (!iceConfig.credentialsUrl) return [];
+    
+    if (this.fetchedServers && Date.now() < this.fetchedExpiresAt - CREDENTIAL_EXPIRY_MARGIN) {
+      return this.fetchedServers;
+    }
+    
+    const response = await fetch(iceConfig.credentialsUrl, {
+      credentials: iceConfig.credentialsWithCookies ? 'include' : 'same-origin'
+    });
+    if (!response.ok) {
+      throw new Error(`TURN credentials request failed (${response.status})`);
+    }
+    
+    const data = await response.json();
+    const servers = Array.isArray(data) ? data : (data.iceServers || [data]);
+    const ttl = Number(data.ttl) || 3600;
+    
+    this.fetchedServers = servers.map(normalizeServer).filter(server => server.urls);
+    this.fetchedExpiresAt = Date.now() + ttl * 1000;
+    return this.fetchedServers;
+  },
+
+  async getConfiguration() {
+    let fetched = [];
+    try {
+      fetched = await this.fetchCredentials();
+    } catch (error) {
+      // Static servers still work for everyone not behind a symmetric NAT
+    }
+    
+    const iceServers = [...iceConfig.iceServers.map(normalizeServer), ...fetched];
+    const relayOnly = this.isRelayOnly();
+    
+    if (relayOnly && !iceServers.some(isTurnServer)) {
+      const error = new Error('Relay-only mode needs a TURN server');
+      error.code = 'relay-unavailable';
+      throw error;
+    }
+    
+    return {
+      iceServers,
+      iceTransportPolicy: relayOnly ? 'relay' : 'all'
+    };
+  }
+};
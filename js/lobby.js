@@ -0,0 +1,226 @@
+// =============================================================================
+// LOBBY MODULE
+// Pre-join check: self-preview, mic level, devices, name and joining muted
+// =============================================================================
+//
+// Shown after media access and before connecting. The toggles act on the
+// real local stream and AppState, so the call starts exactly as previewed.
+
+import { DOM, StateManager } from './state.js';
+import { MediaControls } from './ui-controls.js';
+import { WebRTC } from './webrtc.js';
+import { Devices } from './devices.js';
+import { VideoEffects, EFFECT_OPTIONS } from './video-effects.js';
+import { Admission } from './admission.js';
+import { createAudioMeter, resumeAudioMeters } from './audio-meter.js';
+
+const DEVICE_SELECTS = [
+  { kind: 'audioinput', element: 'lobbyMicSelect' },
+  { kind: 'videoinput', element: 'lobbyCamSelect' },
+  { kind: 'audiooutput', element: 'lobbySpeakerSelect' }
+];
+
+export const Lobby = {
+  resolve: null,
+  meter: null,
+  frame: null,
+
+  init() {
+    if (!DOM.lobbyScreen) return;
+
+    DOM.lobbyJoinBtn.addEventListener('click', () => this.finish(true));
+    DOM.lobbyBackBtn.addEventListener('click', () => this.finish(false));
+    DOM.lobbyMicBtn.addEventListener('click', () => {
+      MediaControls.setMicrophoneEnabled(!StateManager.isMicEnabled());
+      this.updateToggles();
+    });
+    DOM.lobbyCamBtn.addEventListener('click', () => {
+      MediaControls.setCameraEnabled(!StateManager.isCamEnabled());
+      this.updateToggles();
+    });
+
+    DEVICE_SELECTS.forEach(({ kind, element }) => {
+      DOM[element].addEventListener('change', async () => {
+        await Devices.select(kind, DOM[element].value);
+        this.showPreview();
+        this.renderDevices();
+      });
+    });
+
+    // Shown to the people inside when knocking on a room that requires approval
+    DOM.lobbyNameInput.value = Admission.getDisplayName();
+    DOM.lobbyNameInput.addEventListener('change', () => {
+      Admission.setDisplayName(DOM.lobbyNameInput.value);
+    });
+    // Enter joins, as the Join button does
+    DOM.lobbyNameInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') this.finish(true);
+    });
+
+    DOM.lobbyEffectSelect.addEventListener('change', () => {
+      const mode = DOM.lobbyEffectSelect.value;
+      if (mode === 'choose') {
+        // Not an effect by itself; keep showing the current one
+        this.renderEffects();
+        VideoEffects.chooseImage();
+      } else {
+        VideoEffects.select(mode);
+      }
+    });
+    VideoEffects.onChange(() => {
+      if (!this.isOpen()) return;
+      this.showPreview();
+      this.renderEffects();
+    });
+
+    // The meter's AudioContext may need a gesture after a direct link
+    DOM.lobbyScreen.addEventListener('pointerdown', () => resumeAudioMeters());
+  },
+
+  isOpen() {
+    return this.resolve !== null;
+  },
+
+  // Resolves true to join, false to go back to the welcome screen
+  open() {
+    if (!DOM.lobbyScreen || !StateManager.getLocalStream()) return Promise.resolve(true);
+    if (this.isOpen()) this.finish(false);
+
+    // A fresh stream starts live; apply what the last call ended with
+    MediaControls.setMicrophoneEnabled(StateManager.isMicEnabled());
+    MediaControls.setCameraEnabled(StateManager.isCamEnabled());
+
+    DOM.lobbyScreen.style.display = 'flex';
+    this.showPreview();
+    this.updateToggles();
+    this.renderDevices();
+    this.renderEffects();
+    this.startMeter();
+    DOM.lobbyJoinBtn.focus();
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  },
+
+  finish(joined) {
+    if (!this.isOpen()) return;
+
+    Admission.setDisplayName(DOM.lobbyNameInput.value);
+
+    const resolve = this.resolve;
+    this.resolve = null;
+    this.stopMeter();
+    DOM.lobbyVideo.srcObject = null;
+    DOM.lobbyScreen.style.display = 'none';
+
+    if (!joined) {
+      const localStream = StateManager.getLocalStream();
+      if (localStream) localStream.getTracks().forEach(track => WebRTC.stopLocalTrack(track));
+      StateManager.setLocalStream(null);
+      DOM.localVideo.srcObject = null;
+    }
+    resolve(joined);
+  },
+
+  showPreview() {
+    const localStream = StateManager.getLocalStream();
+    // Re-set after a device switch so the element picks up the new track
+    DOM.lobbyVideo.srcObject = null;
+    DOM.lobbyVideo.srcObject = localStream;
+  },
+
+  updateToggles() {
+    const micOn = StateManager.isMicEnabled();
+    const camOn = StateManager.isCamEnabled();
+
+    DOM.lobbyMicBtn.classList.toggle('disabled', !micOn);
+    DOM.lobbyMicBtn.setAttribute('aria-pressed', String(!micOn));
+    DOM.lobbyMicBtn.setAttribute('aria-label', micOn ? 'Join with microphone off' : 'Turn microphone on');
+    DOM.lobbyMicBtn.querySelector('.material-symbols-outlined').textContent = micOn ? 'mic' : 'mic_off';
+
+    DOM.lobbyCamBtn.classList.toggle('disabled', !camOn);
+    DOM.lobbyCamBtn.setAttribute('aria-pressed', String(!camOn));
+    DOM.lobbyCamBtn.setAttribute('aria-label', camOn ? 'Join with camera off' : 'Turn camera on');
+    DOM.lobbyCamBtn.querySelector('.material-symbols-outlined').textContent = camOn ? 'videocam' : 'videocam_off';
+
+    DOM.lobbyScreen.classList.toggle('lobby-screen--camera-off', !camOn);
+  },
+
+  async renderDevices() {
+    await Devices.refresh();
+
+    DEVICE_SELECTS.forEach(({ kind, element }) => {
+      const select = DOM[element];
+      const devices = Devices.getDevices(kind);
+      const activeId = Devices.getActiveId(kind);
+
+      select.innerHTML = '';
+      devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = Devices.getDeviceName(device);
+        option.selected = device.deviceId === activeId;
+        select.appendChild(option);
+      });
+
+      // Hidden when there is nothing to choose, e.g. no setSinkId support
+      select.closest('.lobby-field').style.display = devices.length > 0 ? 'flex' : 'none';
+    });
+  },
+
+  renderEffects() {
+    const select = DOM.lobbyEffectSelect;
+    select.closest('.lobby-field').style.display = VideoEffects.isSupported() ? 'flex' : 'none';
+
+    select.innerHTML = '';
+    [...EFFECT_OPTIONS, { mode: 'choose', label: 'Choose image…' }].forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.mode;
+      element.textContent = option.label;
+      element.selected = option.mode === VideoEffects.mode;
+      select.appendChild(element);
+    });
+  },
+
+  // =============================================================================
+  // MIC METER
+  // =============================================================================
+  startMeter() {
+    this.stopMeter();
+
+    const update = () => {
+      const localStream = StateManager.getLocalStream();
+      const track = localStream ? localStream.getAudioTracks()[0] : null;
+
+      // Follow microphone switches
+      if (this.meter && this.meter.track !== track) {
+        this.meter.stop();
+        this.meter = null;
+      }
+      if (!this.meter && track) {
+        try {
+          this.meter = createAudioMeter(track);
+        } catch (error) {
+          // No WebAudio: the bar stays empty
+        }
+      }
+
+      // A muted track is silent, which is exactly what the meter should show
+      const level = this.meter ? this.meter.getLevel() : 0;
+      DOM.lobbyMeterBar.style.transform = `scaleX(${level})`;
+      this.frame = requestAnimationFrame(update);
+    };
+    this.frame = requestAnimationFrame(update);
+  },
+
+  stopMeter() {
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+    if (this.meter) {
+      this.meter.stop();
+      this.meter = null;
+    }
+    if (DOM.lobbyMeterBar) DOM.lobbyMeterBar.style.transform = 'scaleX(0)';
+  }
+};
@@ -0,0 +1,138 @@
+// =============================================================================
+// MEDIA ENCRYPTION MODULE
+// Optional end-to-end encryption of audio/video frames via encoded transforms
+// =============================================================================
+
+import { RoomCrypto } from './room-crypto.js';
+import { UI } from './ui-controls.js';
+
+const encoder = new TextEncoder();
+
+// Renegotiation can reuse a transceiver, and encoded streams can only be taken once
+const transformed = new WeakSet();
+
+function hasScriptTransform() {
+  return typeof window.RTCRtpScriptTransform !== 'undefined';
+}
+
+function hasInsertableStreams() {
+  return typeof RTCRtpSender !== 'undefined' &&
+    typeof RTCRtpSender.prototype.createEncodedStreams === 'function';
+}
+
+function getFingerprints(description) {
+  if (!description) return [];
+  return (description.sdp.match(/^a=fingerprint:.*$/gm) || []).map(line => line.trim());
+}
+
+export const MediaEncryption = {
+  STORAGE_KEY: 'videoCall_e2eeMedia',
+  worker: null,
+  keyBytes: null,
+
+  isSupported() {
+    return hasScriptTransform() || hasInsertableStreams();
+  },
+
+  isEnabled() {
+    try {
+      return localStorage.getItem(this.STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  setEnabled(enabled) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, String(enabled));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // True once the key is ready; peers only encrypt when both sides are active
+  isActive() {
+    return this.keyBytes !== null;
+  },
+
+  async prepare(roomMaterial) {
+    this.reset();
+    if (!this.isEnabled() || !this.isSupported()) return;
+
+    this.keyBytes = await RoomCrypto.deriveMediaKey(roomMaterial);
+    this.worker = new Worker(new URL('./e2ee-worker.js', import.meta.url));
+    this.worker.postMessage({ type: 'key', key: this.keyBytes });
+    this.worker.onmessage = ({ data }) => {
+      if (data.type === 'decrypt-error') {
+        UI.showSnackbar('Some encrypted media could not be decrypted');
+      }
+    };
+  },
+
+  reset() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.keyBytes = null;
+  },
+
+  // Older Chrome only exposes encoded frames when asked at construction time
+  getConfiguration(configuration) {
+    if (hasScriptTransform()) return configuration;
+    return { ...configuration, encodedInsertableStreams: true };
+  },
+
+  attachTransform(target, operation, kind) {
+    if (transformed.has(target)) return;
+    transformed.add(target);
+
+    if (hasScriptTransform()) {
+      target.transform = new RTCRtpScriptTransform(this.worker, { operation, kind });
+      return;
+    }
+
+    const { readable, writable } = target.createEncodedStreams();
+    this.worker.postMessage({ type: 'transform', operation, readable, writable }, [readable, writable]);
+  },
+
+  attachSender(sender, connection) {
+    if (!this.worker || !sender.track) return;
+
+    // VP8 keeps a fixed-size header we can leave in the clear
+    const transceiver = connection.getTransceivers().find(t => t.sender === sender);
+    if (sender.track.kind === 'video' && transceiver && transceiver.setCodecPreferences &&
+        typeof RTCRtpSender.getCapabilities === 'function') {
+      const { codecs } = RTCRtpSender.getCapabilities('video');
+      const vp8 = codecs.filter(codec => codec.mimeType === 'video/VP8');
+      transceiver.setCodecPreferences([...vp8, ...codecs.filter(codec => codec.mimeType !== 'video/VP8')]);
+    }
+
+    this.attachTransform(sender, 'encrypt', sender.track.kind);
+  },
+
+  attachReceiver(receiver) {
+    if (!this.worker) return;
+    this.attachTransform(receiver, 'decrypt', receiver.track.kind);
+  },
+
+  // Six digits both people can read aloud. It covers the media key and both
+  // DTLS fingerprints, so a different key or a relayed DTLS session changes it
+  async getVerificationCode(connection) {
+    if (!this.keyBytes) return null;
+
+    const fingerprints = [
+      ...getFingerprints(connection.currentLocalDescription),
+      ...getFingerprints(connection.currentRemoteDescription)
+    ].sort();
+
+    const material = new Uint8Array([
+      ...encoder.encode('verification\u0000'),
+      ...new Uint8Array(this.keyBytes),
+      ...encoder.encode(fingerprints.join('\n'))
+    ]);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', material));
+    const value = ((digest[0] << 16) | (digest[1] << 8) | digest[2]) % 1000000;
+    const code = String(value).padStart(6, '0');
+    return `${code.slice(0, 3)} ${code.slice(3)}`;
+  }
+};
@@ -0,0 +1,45 @@
+// =============================================================================
+// MEDIA STATE MODULE
+// Mic and camera on/off, shared with everyone over the control channel
+// =============================================================================
+//
+// A disabled track still flows as silence or black frames, so peers can't
+// tell mute from a frozen connection. { type: 'media', mic, camera } is sent
+// on every change, whenever a control channel opens and after reconnects.
+
+import { StateManager } from './state.js';
+import { Participants } from './participants.js';
+import { ControlChannel } from './control-channel.js';
+import { VideoGrid } from './video-grid.js';
+
+export const MediaState = {
+  init() {
+    ControlChannel.on('media', (peerId, message) => this.handleRemote(peerId, message));
+    ControlChannel.onOpen(peerId => this.send(peerId));
+  },
+
+  getMessage() {
+    return {
+      type: 'media',
+      mic: StateManager.isMicEnabled(),
+      camera: StateManager.isCamEnabled()
+    };
+  },
+
+  send(peerId) {
+    ControlChannel.send(peerId, this.getMessage());
+  },
+
+  broadcast() {
+    ControlChannel.broadcast(this.getMessage());
+  },
+
+  handleRemote(peerId, message) {
+    const participant = Participants.get(peerId);
+    if (!participant) return;
+
+    participant.micEnabled = message.mic !== false;
+    participant.cameraEnabled = message.camera !== false;
+    VideoGrid.setTileMediaState(peerId, participant.micEnabled, participant.cameraEnabled);
+  }
+};
@@ -0,0 +1,60 @@
+// =============================================================================
+// PARTICIPANTS MODULE
+// Registry of remote participants in a mesh call, keyed by peer id
+// =============================================================================
+
+// Every participant uploads one stream per peer, so mesh calls stay small
+export const MAX_PARTICIPANTS = 6;
+
+const participants = new Map();
+
+export const Participants = {
+  add(peerId, details) {
+    const participant = {
+      peerId,
+      session: null,
+      monitor: null,
+      stream: null,
+      label: 'Participant',
+      connectionState: 'connecting',
+      encrypted: false,
+      verificationCode: null,
+      extraStreams: new Map(),
+      screenStreamId: null,
+      screenReplacesCamera: false,
+      micEnabled: true,
+      cameraEnabled: true,
+      ...details
+    };
+    participants.set(peerId, participant);
+    return participant;
+  },
+
+  get(peerId) {
+    return participants.get(peerId) || null;
+  },
+
+  has(peerId) {
+    return participants.has(peerId);
+  },
+
+  remove(peerId) {
+    const participant = participants.get(peerId) || null;
+    participants.delete(peerId);
+    return participant;
+  },
+
+  all() {
+    return Array.from(participants.values());
+  },
+
+  count() {
+    return participants.size;
+  },
+
+  forEachSession(callback) {
+    participants.forEach(participant => {
+      if (participant.session) callback(participant.session, participant);
+    });
+  }
+};
@@ -0,0 +1,247 @@
+// =============================================================================
+// PEER SESSION MODULE
+// One RTCPeerConnection negotiated with the perfect negotiation pattern
+// =============================================================================
+//
+// Each direction of a pair has its own ordered message queue in the room:
+//   rooms/{roomKey}/signals/{toPeerId}/{fromPeerId}/{pushKey}
+// holding { description }, { candidate } or { done: true } entries sealed
+// with the room's signaling cipher, each stamped with sentAt. The receiver
+// deletes messages once they have been applied.
+
+export function getSignalPath(roomKey, fromPeerId, toPeerId) {
+  return `rooms/${roomKey}/signals/${toPeerId}/${fromPeerId}`;
+}
+
+// mediaTransform (optional): { attachSender(sender, connection), attachReceiver(receiver) }
+// applied to every sender and receiver, used for end-to-end media encryption.
+// maxMessageAge (ms, optional): offers sent longer ago than this are ignored
+export function createPeerSession({ transport, cipher, roomKey, localPeerId, remotePeerId, configuration, mediaTransform = null, maxMessageAge = 0, handlers = {} }) {
+  const connection = new RTCPeerConnection(configuration);
+  const outbox = getSignalPath(roomKey, localPeerId, remotePeerId);
+  const inbox = getSignalPath(roomKey, remotePeerId, localPeerId);
+  
+  // Bound into every message so it only decrypts in this room and direction
+  const outboxContext = `${roomKey}:${localPeerId}>${remotePeerId}`;
+  const inboxContext = `${roomKey}:${remotePeerId}>${localPeerId}`;
+
+  // Both sides compare the same two ids, so they agree on roles without talking
+  const polite = localPeerId > remotePeerId;
+
+  let makingOffer = false;
+  let ignoreOffer = false;
+  let pendingCandidates = [];
+  let inboxListener = null;
+  let processing = Promise.resolve();
+  let sending = Promise.resolve();
+  let sentSeq = 0;
+  let receivedSeq = 0;
+  let closed = false;
+  const seenMessages = new Set();
+  const remoteStream = new MediaStream();
+
+  // Sealing is async, so chain sends to keep push keys in sending order
+  const send = (message) => {
+    sending = sending
+      .then(async () => {
+        sentSeq += 1;
+        const envelope = await cipher.seal({ ...message, seq: sentSeq, sentAt: Date.now() }, outboxContext);
+        await transport.push(outbox, envelope);
+      })
+      .catch(error => {
+        if (!closed && handlers.onError) handlers.onError(error);
+      });
+    return sending;
+  };
+
+  const addSender = (track, stream) => {
+    const sender = connection.addTrack(track, stream);
+    if (mediaTransform) mediaTransform.attachSender(sender, connection);
+    return sender;
+  };
+
+  const sendLocalDescription = () => {
+    const { type, sdp } = connection.localDescription;
+    return send({ description: { type, sdp } });
+  };
+
+  // =============================================================================
+  // INCOMING MESSAGES
+  // =============================================================================
+  const applyCandidate = async (message) => {
+    // Candidates can outrun the description they belong to
+    if (!connection.remoteDescription) {
+      pendingCandidates.push(message);
+      return;
+    }
+
+    try {
+      await connection.addIceCandidate(message.done ? undefined : message.candidate);
+    } catch (error) {
+      // Candidates for an ignored offer or an old ICE generation are expected to fail
+    }
+  };
+
+  const applyDescription = async (description) => {
+    const offerCollision = description.type === 'offer' &&
+      (makingOffer || connection.signalingState !== 'stable');
+
+    ignoreOffer = !polite && offerCollision;
+    if (ignoreOffer) return;
+
+    // On glare the polite side's pending offer is rolled back implicitly here
+    await connection.setRemoteDescription(description);
+
+    const buffered = pendingCandidates;
+    pendingCandidates = [];
+    for (const message of buffered) {
+      await applyCandidate(message);
+    }
+
+    if (description.type === 'offer') {
+      await connection.setLocalDescription();
+      await sendLocalDescription();
+    }
+  };
+
+  const handleMessage = async (envelope) => {
+    const message = await cipher.open(envelope, inboxContext);
+
+    // Sequence numbers stop an old message from being replayed later
+    if (!(message.seq > receivedSeq)) {
+      const error = new Error('Signaling message was replayed or out of order');
+      error.code = 'signaling-integrity';
+      throw error;
+    }
+    receivedSeq = message.seq;
+
+    // Left behind by a session that is long gone; answering it would only
+    // stall this one
+    const isStale = maxMessageAge > 0 && typeof message.sentAt === 'number' &&
+      Date.now() - message.sentAt > maxMessageAge;
+    if (isStale && message.description && message.description.type === 'offer') return;
+
+    if (message.description) {
+      await applyDescription(message.description);
+    } else {
+      await applyCandidate(message);
+    }
+  };
+
+  const handleInbox = (messages) => {
+    if (!messages || closed) return;
+
+    // Push keys sort chronologically, which preserves the sender's order
+    Object.keys(messages).sort().forEach(key => {
+      if (seenMessages.has(key)) return;
+      seenMessages.add(key);
+
+      processing = processing
+        .then(() => !closed && handleMessage(messages[key]))
+        .catch(error => {
+          if (!closed && handlers.onError) handlers.onError(error);
+        })
+        .then(() => transport.remove(`${inbox}/${key}`))
+        .catch(() => {});
+    });
+  };
+
+  // =============================================================================
+  // CONNECTION EVENTS
+  // =============================================================================
+  connection.onnegotiationneeded = async () => {
+    try {
+      makingOffer = true;
+      await connection.setLocalDescription();
+      await sendLocalDescription();
+    } catch (error) {
+      if (handlers.onError) handlers.onError(error);
+    } finally {
+      makingOffer = false;
+    }
+  };
+
+  connection.onicecandidate = (event) => {
+    // A null candidate marks the end of gathering for this round
+    send(event.candidate ? { candidate: event.candidate.toJSON() } : { done: true });
+  };
+
+  connection.ontrack = (event) => {
+    if (mediaTransform) mediaTransform.attachReceiver(event.receiver);
+
+    const stream = event.streams[0] || remoteStream;
+    if (!event.streams[0]) stream.addTrack(event.track);
+    if (handlers.onTrack) handlers.onTrack(stream, event);
+  };
+
+  connection.onconnectionstatechange = () => {
+    if (handlers.onConnectionStateChange) {
+      handlers.onConnectionStateChange(connection.connectionState);
+    }
+  };
+
+  // =============================================================================
+  // SESSION API
+  // =============================================================================
+  return {
+    remotePeerId,
+    connection,
+    polite,
+
+    start(localStream) {
+      if (localStream) {
+        localStream.getTracks().forEach(track => addSender(track, localStream));
+      }
+      inboxListener = transport.watch(inbox, handleInbox, error => {
+        if (!closed && handlers.onError) handlers.onError(error);
+      });
+    },
+
+    // Adding or removing tracks renegotiates through onnegotiationneeded
+    addTrack(track, stream) {
+      return addSender(track, stream);
+    },
+
+    removeTrack(track) {
+      const sender = connection.getSenders().find(s => s.track === track);
+      if (sender) connection.removeTrack(sender);
+    },
+
+    // With several video senders, `currentTrack` picks the one to swap
+    async replaceTrack(kind, track, currentTrack = null) {
+      const sender = connection.getSenders().find(s => currentTrack
+        ? s.track === currentTrack
+        : s.track && s.track.kind === kind);
+      if (sender) await sender.replaceTrack(track);
+    },
+
+    // A fresh configuration carries renewed TURN credentials
+    restartIce(configuration = null) {
+      if (configuration) {
+        try {
+          connection.setConfiguration(configuration);
+        } catch (error) {
+          // Keep the old servers; the restart may still find a path
+        }
+      }
+      connection.restartIce();
+    },
+
+    // Negotiated channels use a fixed id on both sides, so neither peer has to
+    // wait for ondatachannel and glare cannot create duplicates
+    createDataChannel(label, id, options = {}) {
+      return connection.createDataChannel(label, { ...options, negotiated: true, id });
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+
+      if (inboxListener) inboxListener();
+      connection.close();
+
+      transport.remove(outbox).catch(() => {});
+      transport.remove(inbox).catch(() => {});
+    }
+  };
+}
@@ -0,0 +1,342 @@
+// =============================================================================
+// PICTURE-IN-PICTURE MODULE
+// The main remote video in a floating window while another tab is in front
+// =============================================================================
+//
+// With Document Picture-in-Picture the window is a small page of our own: the
+// video, the participant's name and mic, camera and hang-up buttons. Other
+// browsers float the bare video element. Either one only opens after a click
+// or key press; entering automatically on tab switch relies on the Media
+// Session "enterpictureinpicture" action where the browser offers it, and is
+// otherwise tried on a best-effort basis.
+
+import { DOM, StateManager } from './state.js';
+import { UI, MediaControls } from './ui-controls.js';
+import { Participants } from './participants.js';
+import { VideoGrid } from './video-grid.js';
+import { createControlMenu, createMenuItem } from './control-menu.js';
+import { createTicker } from './ticker.js';
+
+const STORAGE_KEY = 'videoCall_autoPictureInPicture';
+// Ticks in a worker, so the window keeps following while the tab is hidden
+const UPDATE_INTERVAL = 500;
+const WINDOW_SIZE = { width: 360, height: 240 };
+
+// Absolute URLs, so the sheets' own @imports resolve as they do in the app
+function copyStylesheets(targetDocument) {
+  document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+    const copy = targetDocument.createElement('link');
+    copy.rel = 'stylesheet';
+    copy.href = link.href;
+    targetDocument.head.appendChild(copy);
+  });
+}
+
+export const PictureInPicture = {
+  pipWindow: null,
+  elements: null,
+  video: null,
+  tileId: null,
+  ticker: null,
+  // The window being requested; a tab switch can ask twice
+  opening: null,
+  menu: null,
+  autoEnter: false,
+  openedAutomatically: false,
+
+  init() {
+    this.autoEnter = this.loadAutoEnter();
+
+    if (DOM.pipBtn && DOM.pipMenu) {
+      if (!this.isSupported()) DOM.pipBtn.style.display = 'none';
+      this.menu = createControlMenu(DOM.pipBtn, DOM.pipMenu, {
+        onOpen: () => this.renderMenu()
+      });
+    }
+
+    document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+    this.updateMediaSession();
+  },
+
+  isDocumentSupported() {
+    return 'documentPictureInPicture' in window;
+  },
+
+  isSupported() {
+    return this.isDocumentSupported() || document.pictureInPictureEnabled === true;
+  },
+
+  isOpen() {
+    return this.pipWindow !== null || this.video !== null;
+  },
+
+  // The fullscreen remote, else whoever is talking, else whoever was shown
+  getPrimaryTileId() {
+    const tileIds = VideoGrid.getRemoteTileIds();
+    const fullscreenId = StateManager.getFullscreenTile();
+    if (tileIds.includes(fullscreenId)) return fullscreenId;
+
+    const speakingId = tileIds.find(tileId => VideoGrid.getTile(tileId).classList.contains('video-tile--speaking'));
+    if (speakingId) return speakingId;
+
+    return tileIds.includes(this.tileId) ? this.tileId : tileIds[0] || null;
+  },
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  },
+
+  // Resolves true once a window is showing. Callers arriving while it is
+  // being requested share that request
+  open(automatic = false) {
+    if (!this.opening) {
+      this.opening = this.openWindow(automatic).finally(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  },
+
+  async openWindow(automatic) {
+    if (this.isOpen()) return true;
+    if (!this.isSupported()) return false;
+
+    const tileId = this.getPrimaryTileId();
+    if (!tileId) {
+      if (!automatic) UI.showSnackbar('Picture-in-picture needs someone else in the call');
+      return false;
+    }
+
+    try {
+      if (this.isDocumentSupported()) {
+        await this.openDocument();
+      } else {
+        await this.openVideo(VideoGrid.getVideo(tileId));
+      }
+    } catch (error) {
+      // Without a click or key press the browser refuses
+      if (!automatic) UI.showSnackbar("Couldn't open picture-in-picture");
+      return false;
+    }
+
+    this.tileId = tileId;
+    this.openedAutomatically = automatic;
+    this.ticker = createTicker(UPDATE_INTERVAL, () => this.update());
+    this.update();
+    this.updateButton();
+    return true;
+  },
+
+  async openDocument() {
+    const pipWindow = await window.documentPictureInPicture.requestWindow(WINDOW_SIZE);
+    const pipDocument = pipWindow.document;
+    copyStylesheets(pipDocument);
+
+    pipDocument.body.className = 'pip-body';
+    pipDocument.body.innerHTML = `
+      <div class="pip-window">
+        <video autoplay playsinline muted class="pip-video"></video>
+        <div class="pip-label"></div>
+        <div class="pip-controls">
+          <button class="control-btn control-btn--primary" data-action="mic" aria-label="Toggle microphone">
+            <span class="material-symbols-outlined">mic</span>
+          </button>
+          <button class="control-btn control-btn--primary" data-action="camera" aria-label="Toggle camera">
+            <span class="material-symbols-outlined">videocam</span>
+          </button>
+          <button class="control-btn control-btn--error" data-action="hangup" aria-label="End call">
+            <span class="material-symbols-outlined">call_end</span>
+          </button>
+        </div>
+      </div>
+    `;
+
+    const buttons = {
+      mic: pipDocument.querySelector('[data-action="mic"]'),
+      camera: pipDocument.querySelector('[data-action="camera"]'),
+      hangup: pipDocument.querySelector('[data-action="hangup"]')
+    };
+    buttons.mic.addEventListener('click', () => {
+      MediaControls.toggleMicrophone();
+      this.update();
+    });
+    buttons.camera.addEventListener('click', () => {
+      MediaControls.toggleCamera();
+      this.update();
+    });
+    buttons.hangup.addEventListener('click', () => MediaControls.endCall());
+
+    // The user closed the window
+    pipWindow.addEventListener('pagehide', () => {
+      if (this.pipWindow === pipWindow) this.close();
+    });
+
+    this.pipWindow = pipWindow;
+    this.elements = {
+      root: pipDocument.querySelector('.pip-window'),
+      video: pipDocument.querySelector('.pip-video'),
+      label: pipDocument.querySelector('.pip-label'),
+      buttons
+    };
+  },
+
+  async openVideo(video) {
+    await video.requestPictureInPicture();
+    this.watchVideo(video);
+  },
+
+  watchVideo(video) {
+    this.video = video;
+    video.addEventListener('leavepictureinpicture', () => {
+      // Also fired when update() moves the window to another tile
+      if (this.video === video) this.close();
+    }, { once: true });
+  },
+
+  // Follows the main remote participant and our own mic and camera
+  update() {
+    if (!this.isOpen()) return;
+
+    const tileId = this.getPrimaryTileId();
+    if (!tileId) {
+      this.close();
+      return;
+    }
+
+    const video = VideoGrid.getVideo(tileId);
+    if (this.pipWindow) {
+      const { root, label, buttons } = this.elements;
+      if (video && this.elements.video.srcObject !== video.srcObject) {
+        this.elements.video.srcObject = video.srcObject;
+      }
+
+      const participant = Participants.get(tileId);
+      const tileLabel = VideoGrid.getTile(tileId).querySelector('.video-label-text');
+      label.textContent = tileLabel ? tileLabel.textContent : '';
+      root.classList.toggle('pip-window--camera-off', Boolean(participant) && participant.cameraEnabled === false);
+
+      const micOn = StateManager.isMicEnabled();
+      const camOn = StateManager.isCamEnabled();
+      buttons.mic.classList.toggle('disabled', !micOn);
+      buttons.mic.querySelector('.material-symbols-outlined').textContent = micOn ? 'mic' : 'mic_off';
+      buttons.camera.classList.toggle('disabled', !camOn);
+      buttons.camera.querySelector('.material-symbols-outlined').textContent = camOn ? 'videocam' : 'videocam_off';
+    } else if (tileId !== this.tileId && video) {
+      // Moving an open window to another video needs no click
+      const previous = this.video;
+      this.video = null;
+      video.requestPictureInPicture().then(() => this.watchVideo(video)).catch(() => {
+        this.video = previous;
+      });
+    }
+    this.tileId = tileId;
+  },
+
+  close() {
+    if (this.ticker) {
+      this.ticker.stop();
+      this.ticker = null;
+    }
+
+    if (this.pipWindow) {
+      const pipWindow = this.pipWindow;
+      this.pipWindow = null;
+      this.elements = null;
+      pipWindow.close();
+    }
+    if (this.video) {
+      this.video = null;
+      if (document.pictureInPictureElement) document.exitPictureInPicture().catch(() => {});
+    }
+
+    this.tileId = null;
+    this.openedAutomatically = false;
+    this.updateButton();
+  },
+
+  // =============================================================================
+  // AUTO-ENTER
+  // =============================================================================
+  loadAutoEnter() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  setAutoEnter(enabled) {
+    this.autoEnter = enabled;
+    try {
+      localStorage.setItem(STORAGE_KEY, String(enabled));
+    } catch (error) {
+      // Setting just isn't remembered
+    }
+    this.updateMediaSession();
+  },
+
+  // Lets the browser open the window itself when the tab is switched away
+  updateMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+
+    try {
+      navigator.mediaSession.setActionHandler('enterpictureinpicture', this.autoEnter
+        ? () => {
+          if (StateManager.isConnected()) this.open(true);
+        }
+        : null);
+    } catch (error) {
+      // Action not known to this browser
+    }
+  },
+
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+      if (this.openedAutomatically) this.close();
+      return;
+    }
+
+    if (this.autoEnter && StateManager.isConnected()) this.open(true);
+  },
+
+  // Called when the call ends
+  reset() {
+    this.close();
+  },
+
+  // =============================================================================
+  // MENU
+  // =============================================================================
+  updateButton() {
+    if (DOM.pipBtn) DOM.pipBtn.classList.toggle('active', this.isOpen());
+  },
+
+  renderMenu() {
+    const menu = DOM.pipMenu;
+    if (!menu) return;
+
+    menu.innerHTML = '';
+
+    const open = this.isOpen();
+    const toggle = createMenuItem('menuitem',
+      open ? 'Close picture-in-picture' : 'Open picture-in-picture',
+      'Keep the call in view while using other tabs (P)');
+    toggle.addEventListener('click', () => {
+      this.menu.close();
+      this.toggle();
+    });
+    menu.appendChild(toggle);
+
+    const auto = createMenuItem('menuitemcheckbox', 'Open when switching tabs', 'During a call, when this tab is hidden');
+    auto.setAttribute('aria-checked', String(this.autoEnter));
+    auto.addEventListener('click', () => {
+      this.setAutoEnter(!this.autoEnter);
+      auto.setAttribute('aria-checked', String(this.autoEnter));
+    });
+    menu.appendChild(auto);
+  }
+};
@@ -0,0 +1,330 @@
+// =============================================================================
+// RECORDER MODULE
+// Local call recording: the grid composited on a canvas, audio mixed in WebAudio
+// =============================================================================
+//
+// Tiles are drawn where they currently sit on screen, so the recording follows
+// the grid, fullscreen tiles and screen-share corners. Everyone in the call is
+// told when a recording starts and stops.
+
+import { DOM, StateManager } from './state.js';
+import { UI } from './ui-controls.js';
+import { Participants } from './participants.js';
+import { ControlChannel } from './control-channel.js';
+import { ScreenShare } from './screen-share.js';
+import { createTicker } from './ticker.js';
+
+const FRAME_RATE = 30;
+const CANVAS_WIDTH = 1280;
+const AUDIO_REFRESH_INTERVAL = 1000;
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+  'video/mp4;codecs=avc1,mp4a',
+  'video/mp4'
+];
+
+const remoteRecorders = new Set();
+
+function pickMimeType() {
+  return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+function timestampForFile(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+// Same maths as object-fit, so the recording matches what is on screen
+function drawVideo(context, video, x, y, width, height, cover) {
+  if (!video.videoWidth || !video.videoHeight) return;
+
+  const videoRatio = video.videoWidth / video.videoHeight;
+  const boxRatio = width / height;
+  let drawWidth = width;
+  let drawHeight = height;
+
+  if ((videoRatio > boxRatio) === cover) {
+    drawWidth = height * videoRatio;
+  } else {
+    drawHeight = width / videoRatio;
+  }
+
+  context.save();
+  context.beginPath();
+  context.rect(x, y, width, height);
+  context.clip();
+  context.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+  context.restore();
+}
+
+export const Recorder = {
+  mediaRecorder: null,
+  canvas: null,
+  context: null,
+  ticker: null,
+  audioContext: null,
+  audioDestination: null,
+  audioSources: new Map(),
+  audioTimer: null,
+
+  init() {
+    if (DOM.recordBtn) {
+      if (!this.isSupported()) DOM.recordBtn.style.display = 'none';
+      DOM.recordBtn.addEventListener('click', () => this.toggle());
+    }
+
+    ControlChannel.on('recording', (peerId, message) => this.handleRemoteRecording(peerId, message.active === true));
+    ControlChannel.onOpen(peerId => ControlChannel.send(peerId, { type: 'recording', active: this.isRecording() }));
+  },
+
+  isSupported() {
+    return typeof window.MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  },
+
+  isRecording() {
+    return this.mediaRecorder !== null;
+  },
+
+  toggle() {
+    if (this.isRecording()) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  },
+
+  // =============================================================================
+  // RECORDING
+  // =============================================================================
+  start() {
+    if (this.isRecording() || !this.isSupported() || !DOM.videoGrid) return;
+
+    const gridRect = DOM.videoGrid.getBoundingClientRect();
+    const height = Math.round((CANVAS_WIDTH * gridRect.height / gridRect.width) / 2) * 2;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = CANVAS_WIDTH;
+    this.canvas.height = height || 720;
+    this.context = this.canvas.getContext('2d');
+
+    this.audioContext = new AudioContext();
+    this.audioDestination = this.audioContext.createMediaStreamDestination();
+    this.refreshAudioSources();
+    this.audioTimer = setInterval(() => this.refreshAudioSources(), AUDIO_REFRESH_INTERVAL);
+
+    const stream = new MediaStream([
+      ...this.canvas.captureStream(FRAME_RATE).getVideoTracks(),
+      ...this.audioDestination.stream.getAudioTracks()
+    ]);
+
+    const mimeType = pickMimeType();
+    try {
+      this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    } catch (error) {
+      this.teardown();
+      UI.showSnackbar('Recording is not supported in this browser');
+      return;
+    }
+
+    // Kept per recording, so a quick restart cannot mix two files
+    const chunks = [];
+    const startedAt = new Date();
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    this.mediaRecorder.onstop = () => this.save(chunks, startedAt);
+    this.mediaRecorder.start(1000);
+
+    // Keeps drawing while the tab is in the background
+    this.ticker = createTicker(1000 / FRAME_RATE, () => this.drawFrame());
+
+    this.updateIndicator();
+    ControlChannel.broadcast({ type: 'recording', active: true });
+  },
+
+  stop() {
+    if (!this.isRecording()) return;
+
+    // onstop saves the file once the last chunk is in
+    this.mediaRecorder.stop();
+    this.mediaRecorder = null;
+    this.teardown();
+
+    this.updateIndicator();
+    ControlChannel.broadcast({ type: 'recording', active: false });
+  },
+
+  teardown() {
+    if (this.ticker) {
+      this.ticker.stop();
+      this.ticker = null;
+    }
+    clearInterval(this.audioTimer);
+    this.audioTimer = null;
+    this.audioSources.clear();
+
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+      this.audioDestination = null;
+    }
+    this.canvas = null;
+    this.context = null;
+  },
+
+  save(chunks, startedAt) {
+    if (chunks.length === 0) return;
+
+    const type = chunks[0].type || 'video/webm';
+    const blob = new Blob(chunks, { type });
+
+    const extension = type.startsWith('video/mp4') ? 'mp4' : 'webm';
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `call-recording-${timestampForFile(startedAt)}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to pick the blob up
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    UI.showSnackbar('Recording saved');
+  },
+
+  // Participants join and leave mid-recording, so the mix is kept in sync
+  refreshAudioSources() {
+    if (!this.audioContext) return;
+
+    const streams = [StateManager.getLocalStream(), ScreenShare.screenStream];
+    Participants.all().forEach(participant => {
+      streams.push(participant.stream, ...participant.extraStreams.values());
+    });
+
+    const tracks = streams
+      .filter(Boolean)
+      .flatMap(stream => stream.getAudioTracks())
+      .filter(track => track.readyState === 'live');
+    const trackIds = new Set(tracks.map(track => track.id));
+
+    this.audioSources.forEach((source, trackId) => {
+      if (!trackIds.has(trackId)) {
+        source.disconnect();
+        this.audioSources.delete(trackId);
+      }
+    });
+
+    tracks.forEach(track => {
+      if (this.audioSources.has(track.id)) return;
+      const source = this.audioContext.createMediaStreamSource(new MediaStream([track]));
+      source.connect(this.audioDestination);
+      this.audioSources.set(track.id, source);
+    });
+  },
+
+  drawFrame() {
+    const { canvas, context } = this;
+    if (!context || !DOM.videoGrid) return;
+
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const fullscreenTile = DOM.videoGrid.querySelector('.video-tile--fullscreen');
+    const gridRect = fullscreenTile
+      ? fullscreenTile.getBoundingClientRect()
+      : DOM.videoGrid.getBoundingClientRect();
+    if (!gridRect.width || !gridRect.height) return;
+
+    // Fit the on-screen layout into the canvas, letterboxed if the window changed shape
+    const scale = Math.min(canvas.width / gridRect.width, canvas.height / gridRect.height);
+    const offsetX = (canvas.width - gridRect.width * scale) / 2;
+    const offsetY = (canvas.height - gridRect.height * scale) / 2;
+    const toCanvas = (rect) => ({
+      x: offsetX + (rect.left - gridRect.left) * scale,
+      y: offsetY + (rect.top - gridRect.top) * scale,
+      width: rect.width * scale,
+      height: rect.height * scale
+    });
+
+    const tiles = fullscreenTile ? [fullscreenTile] : Array.from(DOM.videoGrid.querySelectorAll('.video-tile'));
+    tiles.forEach(tile => {
+      const video = tile.querySelector('.video-element');
+      if (!video) return;
+
+      const box = toCanvas(tile.getBoundingClientRect());
+      const cover = getComputedStyle(video).objectFit === 'cover';
+      drawVideo(context, video, box.x, box.y, box.width, box.height, cover);
+
+      const corner = tile.querySelector('.tile-corner-video');
+      if (corner) {
+        const cornerBox = toCanvas(corner.getBoundingClientRect());
+        drawVideo(context, corner, cornerBox.x, cornerBox.y, cornerBox.width, cornerBox.height, true);
+      }
+
+      const label = tile.querySelector('.video-label-text, .video-label span:last-child');
+      if (label) this.drawLabel(label.textContent.trim(), box);
+    });
+  },
+
+  drawLabel(text, box) {
+    if (!text) return;
+
+    const { context } = this;
+    context.font = '500 14px sans-serif';
+    const width = context.measureText(text).width + 16;
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(box.x + 8, box.y + box.height - 32, width, 24);
+    context.fillStyle = '#fff';
+    context.fillText(text, box.x + 16, box.y + box.height - 15);
+  },
+
+  // =============================================================================
+  // NOTIFICATIONS
+  // =============================================================================
+  handleRemoteRecording(peerId, active) {
+    const participant = Participants.get(peerId);
+    if (!participant || active === remoteRecorders.has(peerId)) return;
+
+    if (active) {
+      remoteRecorders.add(peerId);
+      UI.showSnackbar(`${participant.label} started recording the call`);
+    } else {
+      remoteRecorders.delete(peerId);
+      UI.showSnackbar(`${participant.label} stopped recording`);
+    }
+    this.updateIndicator();
+  },
+
+  detach(peerId) {
+    if (remoteRecorders.delete(peerId)) this.updateIndicator();
+  },
+
+  updateIndicator() {
+    if (DOM.recordBtn) {
+      DOM.recordBtn.classList.toggle('recording', this.isRecording());
+      DOM.recordBtn.setAttribute('aria-label', this.isRecording() ? 'Stop recording' : 'Start recording');
+    }
+
+    if (!DOM.recordingIndicator || !DOM.recordingIndicatorText) return;
+
+    const names = Array.from(remoteRecorders)
+      .map(peerId => Participants.get(peerId))
+      .filter(Boolean)
+      .map(participant => participant.label);
+    if (this.isRecording()) names.unshift('You');
+
+    DOM.recordingIndicator.classList.toggle('show', names.length > 0);
+    DOM.recordingIndicatorText.textContent = names.length === 0 ? '' :
+      `${names.join(', ')} ${names.length === 1 && names[0] !== 'You' ? 'is' : 'are'} recording`;
+  },
+
+  // Called when the call ends: a running recording is stopped and saved
+  reset() {
+    this.stop();
+    remoteRecorders.clear();
+    this.updateIndicator();
+  }
+};
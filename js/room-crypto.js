@@ -0,0 +1,144 @@
+// =============================================================================
+// ROOM CRYPTO MODULE
+// Keys and identifiers derived from the shared secret and memory (WebCrypto)
+// =============================================================================
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// One slow PBKDF2 pass guards against guessing; HKDF then splits the result
+// into independent values so none of them reveals another. The PBKDF2 output
+// is the room's key material: saved rooms keep it instead of the credentials
+const MASTER_SALT = 'webrtcvideochat/room-master/v1';
+const PBKDF2_ITERATIONS = 310000;
+
+const materialCache = new Map();
+const masterKeyCache = new Map();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function toBase64(buffer) {
+  let binary = '';
+  new Uint8Array(buffer).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function integrityError() {
+  const error = new Error('Signaling message failed decryption or authentication');
+  error.code = 'signaling-integrity';
+  return error;
+}
+
+// Separator keeps "ab" + "c" and "a" + "bc" from deriving the same room
+function credentialMaterial(sharedSecret, sharedMemory) {
+  return `${sharedSecret.trim()}\u0000${sharedMemory.trim()}`;
+}
+
+function cached(cache, id, derive) {
+  if (cache.has(id)) return cache.get(id);
+
+  const derivation = derive();
+  cache.set(id, derivation);
+  derivation.catch(() => cache.delete(id));
+  return derivation;
+}
+
+function getMasterKey(roomMaterial) {
+  return cached(masterKeyCache, roomMaterial, () => crypto.subtle.importKey(
+    'raw', fromBase64(roomMaterial), 'HKDF', false, ['deriveBits', 'deriveKey']
+  ));
+}
+
+function hkdfParams(info) {
+  return { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: encoder.encode(info) };
+}
+
+export const RoomCrypto = {
+  // The slow step; everything else is derived from its base64 result
+  deriveRoomMaterial(sharedSecret, sharedMemory) {
+    const credentials = credentialMaterial(sharedSecret, sharedMemory);
+    return cached(materialCache, credentials, async () => {
+      const password = await crypto.subtle.importKey('raw', encoder.encode(credentials), 'PBKDF2', false, ['deriveBits']);
+      const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(MASTER_SALT), iterations: PBKDF2_ITERATIONS },
+        password,
+        256
+      );
+      return toBase64(bits);
+    });
+  },
+
+  isRoomMaterial(roomMaterial) {
+    return typeof roomMaterial === 'string' && /^[A-Za-z0-9+/]{43}=$/.test(roomMaterial);
+  },
+
+  // 128-bit hex id: safe as a database path and in URLs, and never contains
+  // the '-' every legacy "secret-memory" key has
+  async deriveRoomId(roomMaterial) {
+    const masterKey = await getMasterKey(roomMaterial);
+    const bits = await crypto.subtle.deriveBits(hkdfParams('room-id'), masterKey, 128);
+    return toHex(bits);
+  },
+
+  // AES-GCM for offers, answers and candidates. The key is derived on each
+  // client and never written anywhere; `context` is bound in as associated
+  // data so a message cannot be replayed into another room or direction
+  async createSignalingCipher(roomMaterial) {
+    const masterKey = await getMasterKey(roomMaterial);
+    const key = await crypto.subtle.deriveKey(
+      hkdfParams('signaling'),
+      masterKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+
+    return {
+      async seal(payload, context) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+          { name: 'AES-GCM', iv, additionalData: encoder.encode(context) },
+          key,
+          encoder.encode(JSON.stringify(payload))
+        );
+        return { v: 1, iv: toBase64(iv), data: toBase64(data) };
+      },
+
+      async open(envelope, context) {
+        if (!envelope || envelope.v !== 1 || !envelope.iv || !envelope.data) {
+          throw integrityError();
+        }
+
+        try {
+          const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: encoder.encode(context) },
+            key,
+            fromBase64(envelope.data)
+          );
+          return JSON.parse(decoder.decode(plaintext));
+        } catch (error) {
+          throw integrityError();
+        }
+      }
+    };
+  },
+
+  // Raw bytes rather than a CryptoKey: the frame transform runs in a worker
+  // and imports the key there
+  async deriveMediaKey(roomMaterial) {
+    const masterKey = await getMasterKey(roomMaterial);
+    return crypto.subtle.deriveBits(hkdfParams('media'), masterKey, 256);
+  },
+
+  isDerivedRoomId(roomKey) {
+    return /^[0-9a-f]{32}$/.test(roomKey);
+  }
+};
@@ -0,0 +1,245 @@
+// =============================================================================
+// SCREEN SHARE MODULE
+// Screen, window or tab sharing in place of or next to the camera
+// =============================================================================
+//
+// By default the screen replaces the outgoing camera track. With the camera
+// kept on, the screen goes out as a second video track instead. Either way the
+// 'screen' control message tells peers which incoming stream is the screen.
+
+import { DOM, StateManager } from './state.js';
+import { UI } from './ui-controls.js';
+import { Participants } from './participants.js';
+import { ControlChannel } from './control-channel.js';
+import { VideoGrid, LOCAL_TILE_ID } from './video-grid.js';
+
+const STORAGE_KEY = 'videoCall_shareWithCamera';
+
+function getSessions() {
+  return Participants.all()
+    .map(participant => participant.session)
+    .filter(Boolean);
+}
+
+export const ScreenShare = {
+  screenStream: null,
+  withCamera: false,
+
+  init() {
+    if (DOM.screenShareBtn) {
+      // getDisplayMedia is missing on most phones
+      if (!this.isSupported()) DOM.screenShareBtn.style.display = 'none';
+      DOM.screenShareBtn.addEventListener('click', () => this.toggle());
+    }
+
+    ControlChannel.on('screen', (peerId, message) => this.handleRemoteScreen(peerId, message));
+    ControlChannel.onOpen(peerId => ControlChannel.send(peerId, this.getStateMessage()));
+  },
+
+  isSupported() {
+    return Boolean(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+  },
+
+  isSharing() {
+    return this.screenStream !== null;
+  },
+
+  // While true the camera is not on the wire, so camera changes stay local
+  isReplacingCamera() {
+    return this.isSharing() && !this.withCamera;
+  },
+
+  prefersCamera() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  getCameraTrack() {
+    const localStream = StateManager.getLocalStream();
+    return localStream ? localStream.getVideoTracks()[0] || null : null;
+  },
+
+  toggle() {
+    if (this.isSharing()) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  },
+
+  // =============================================================================
+  // LOCAL SHARING
+  // =============================================================================
+  async start() {
+    if (this.isSharing() || !this.isSupported()) return;
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getDisplayMedia({
+        video: { frameRate: { ideal: 15, max: 30 } },
+        // Tab or system audio where the browser offers it
+        audio: true,
+        systemAudio: 'include',
+        surfaceSwitching: 'include',
+        selfBrowserSurface: 'exclude'
+      });
+    } catch (error) {
+      // Closing the picker is not an error worth reporting
+      if (error.name !== 'NotAllowedError' && error.name !== 'AbortError') {
+        UI.showSnackbar('Screen sharing failed');
+      }
+      return;
+    }
+
+    const videoTrack = stream.getVideoTracks()[0];
+    if ('contentHint' in videoTrack) videoTrack.contentHint = 'detail';
+
+    // Fired when sharing is stopped from the browser's own controls
+    videoTrack.addEventListener('ended', () => this.stop());
+
+    this.screenStream = stream;
+    this.withCamera = this.prefersCamera();
+    await Promise.all(getSessions().map(session => this.attach(session)));
+
+    this.updateLocalState();
+    UI.showSnackbar(
+      'You are sharing your screen',
+      this.withCamera ? 'Hide camera' : 'Show camera too',
+      () => this.setWithCamera(!this.withCamera)
+    );
+  },
+
+  async stop() {
+    if (!this.isSharing()) return;
+
+    const stream = this.screenStream;
+    const withCamera = this.withCamera;
+    this.screenStream = null;
+
+    await Promise.all(getSessions().map(session => this.detach(session, stream, withCamera)));
+    stream.getTracks().forEach(track => track.stop());
+    this.updateLocalState();
+  },
+
+  // Switches between replacing the camera and sending both, mid-share too
+  async setWithCamera(withCamera) {
+    try {
+      localStorage.setItem(STORAGE_KEY, String(withCamera));
+    } catch (error) {
+      // Preference just isn't remembered
+    }
+
+    if (!this.isSharing() || withCamera === this.withCamera) return;
+
+    const sessions = getSessions();
+    await Promise.all(sessions.map(session => this.detachVideo(session, this.screenStream, this.withCamera)));
+    this.withCamera = withCamera;
+    await Promise.all(sessions.map(session => this.attachVideo(session)));
+    this.updateLocalState();
+  },
+
+  // Also used for participants who join while we are sharing
+  async attach(session) {
+    if (!this.isSharing()) return;
+
+    await this.attachVideo(session);
+    this.screenStream.getAudioTracks().forEach(track => session.addTrack(track, this.screenStream));
+  },
+
+  async attachVideo(session) {
+    const screenTrack = this.screenStream.getVideoTracks()[0];
+    if (this.withCamera) {
+      session.addTrack(screenTrack, this.screenStream);
+    } else {
+      await session.replaceTrack('video', screenTrack, this.getCameraTrack());
+    }
+  },
+
+  async detach(session, stream, withCamera) {
+    await this.detachVideo(session, stream, withCamera);
+    stream.getAudioTracks().forEach(track => session.removeTrack(track));
+  },
+
+  async detachVideo(session, stream, withCamera) {
+    const screenTrack = stream.getVideoTracks()[0];
+    if (withCamera) {
+      session.removeTrack(screenTrack);
+    } else {
+      await session.replaceTrack('video', this.getCameraTrack(), screenTrack);
+    }
+  },
+
+  getStateMessage() {
+    return {
+      type: 'screen',
+      streamId: this.isSharing() ? this.screenStream.id : null,
+      replacesCamera: this.isReplacingCamera()
+    };
+  },
+
+  updateLocalState() {
+    // Our own tile keeps the camera; the shared screen previews in its corner
+    VideoGrid.setTileCorner(LOCAL_TILE_ID, this.isSharing() ? this.screenStream : null, true);
+
+    if (DOM.screenShareBtn) {
+      DOM.screenShareBtn.classList.toggle('active', this.isSharing());
+      DOM.screenShareBtn.setAttribute('aria-label', this.isSharing() ? 'Stop sharing screen' : 'Share screen');
+    }
+    if (DOM.screenShareIcon) {
+      DOM.screenShareIcon.textContent = this.isSharing() ? 'stop_screen_share' : 'present_to_all';
+    }
+
+    ControlChannel.broadcast(this.getStateMessage());
+  },
+
+  // Called when the call ends; sessions are already closed by then
+  reset() {
+    if (this.screenStream) {
+      this.screenStream.getTracks().forEach(track => track.stop());
+      this.screenStream = null;
+    }
+    this.updateLocalState();
+  },
+
+  // =============================================================================
+  // REMOTE SHARING
+  // =============================================================================
+  // The first stream from a participant is their camera; any later stream is
+  // only shown once the participant has announced it as a screen
+  handleRemoteStream(participant, stream) {
+    if (!participant.stream) {
+      participant.stream = stream;
+    } else if (stream.id !== participant.stream.id) {
+      participant.extraStreams.set(stream.id, stream);
+    }
+    this.renderRemote(participant);
+  },
+
+  handleRemoteScreen(peerId, message) {
+    const participant = Participants.get(peerId);
+    if (!participant) return;
+
+    const wasSharing = participant.screenStreamId !== null;
+    participant.screenStreamId = typeof message.streamId === 'string' ? message.streamId : null;
+    participant.screenReplacesCamera = message.replacesCamera === true;
+
+    if (!participant.screenStreamId) {
+      participant.extraStreams.clear();
+    } else if (!wasSharing) {
+      UI.showSnackbar(`${participant.label} is sharing their screen`);
+    }
+
+    this.renderRemote(participant);
+  },
+
+  renderRemote(participant) {
+    const screenStream = participant.screenStreamId
+      ? participant.extraStreams.get(participant.screenStreamId) || null
+      : null;
+
+    VideoGrid.setTileStream(participant.peerId, participant.stream, screenStream, participant.screenReplacesCamera);
+  }
+};
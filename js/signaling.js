@@ -0,0 +1,287 @@
+// =============================================================================
+// SIGNALING TRANSPORT MODULE
+// Swappable room storage used by the WebRTC signaling logic
+// =============================================================================
+//
+// Every transport exposes the same operations on slash-separated paths
+// such as `rooms/{roomKey}/offer`:
+//
+//   get(path)                -> Promise<value | null>
+//   set(path, value)         -> Promise
+//   remove(path)             -> Promise
+//   push(path, value)        -> Promise<key>; appends under a new
+//                               chronologically ordered child key
+//   transaction(path, update) -> Promise<value>; writes update(current)
+//                               atomically, calling update again if another
+//                               write got in first, and resolves the result
+//   watch(path, callback, onError)
+//                            -> unsubscribe(); callback(value) runs once with
+//                               the current value and again on every change.
+//                               onError(error), if given, hears when watching
+//                               fails or stops (backend unreachable, no access)
+//   removeOnDisconnect(path) -> Promise<{ cancel() }>; removes the path when
+//                               this client goes away
+
+// =============================================================================
+// PATH HELPERS
+// =============================================================================
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+function isRelatedPath(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+function readPath(tree, segments) {
+  let node = tree;
+  for (const segment of segments) {
+    if (node == null || typeof node !== 'object') return null;
+    node = node[segment];
+  }
+  return node === undefined ? null : node;
+}
+
+function writePath(tree, segments, value) {
+  const parents = [];
+  let node = tree;
+
+  segments.slice(0, -1).forEach(segment => {
+    if (node[segment] == null || typeof node[segment] !== 'object') {
+      node[segment] = {};
+    }
+    parents.push([node, segment]);
+    node = node[segment];
+  });
+
+  const leaf = segments[segments.length - 1];
+  if (value == null) {
+    delete node[leaf];
+  } else {
+    node[leaf] = value;
+  }
+
+  // Like the realtime database, drop parents that became empty
+  for (let i = parents.length - 1; i >= 0; i--) {
+    const [parent, key] = parents[i];
+    if (Object.keys(parent[key]).length > 0) break;
+    delete parent[key];
+  }
+}
+
+function clone(value) {
+  return value == null ? null : JSON.parse(JSON.stringify(value));
+}
+
+let pushCounter = 0;
+
+function generatePushKey() {
+  const time = Date.now().toString(36).padStart(9, '0');
+  const counter = (pushCounter++ % 1679616).toString(36).padStart(4, '0');
+  const random = Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+  return `${time}${counter}${random}`;
+}
+
+// =============================================================================
+// FIREBASE TRANSPORT
+// =============================================================================
+export function createFirebaseTransport() {
+  // Loaded lazily so other transports work without reaching the network
+  let sdk = null;
+  const loadSdk = () => {
+    if (!sdk) sdk = import('../firebase-config.js');
+    return sdk;
+  };
+
+  return {
+    name: 'firebase',
+
+    async get(path) {
+      // Rejects on permission errors or when the server can't be reached
+      const { db, ref, get } = await loadSdk();
+      const snapshot = await get(ref(db, path));
+      return snapshot.val();
+    },
+
+    async set(path, value) {
+      const { db, ref, set } = await loadSdk();
+      await set(ref(db, path), value);
+    },
+
+    async remove(path) {
+      const { db, ref, remove } = await loadSdk();
+      await remove(ref(db, path));
+    },
+
+    async push(path, value) {
+      const { db, ref, push } = await loadSdk();
+      const child = await push(ref(db, path), value);
+      return child.key;
+    },
+
+    async transaction(path, update) {
+      const { db, ref, runTransaction } = await loadSdk();
+      const { snapshot } = await runTransaction(ref(db, path), current => update(current));
+      return snapshot.val();
+    },
+
+    watch(path, callback, onError = null) {
+      let unsubscribe = null;
+      let active = true;
+      const fail = error => {
+        if (active && onError) onError(error);
+      };
+
+      loadSdk().then(({ db, ref, onValue }) => {
+        if (!active) return;
+        unsubscribe = onValue(ref(db, path), snapshot => callback(snapshot.val()), fail);
+      }).catch(fail);
+
+      return () => {
+        active = false;
+        if (unsubscribe) unsubscribe();
+      };
+    },
+
+    async removeOnDisconnect(path) {
+      const { db, ref, onDisconnect } = await loadSdk();
+      const handle = onDisconnect(ref(db, path));
+      await handle.remove();
+      return { cancel: () => handle.cancel() };
+    }
+  };
+}
+
+// =============================================================================
+// BROADCAST CHANNEL TRANSPORT
+// In-memory tree shared between tabs of the same origin, no network needed
+// =============================================================================
+export function createBroadcastTransport(channelName = 'videoCall_signaling') {
+  const tree = {};
+  const watchers = new Set();
+  const disconnectPaths = new Set();
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+
+  const notify = (segments) => {
+    watchers.forEach(watcher => {
+      if (isRelatedPath(watcher.segments, segments)) {
+        watcher.callback(clone(readPath(tree, watcher.segments)));
+      }
+    });
+  };
+
+  const apply = (path, value) => {
+    const segments = splitPath(path);
+    writePath(tree, segments, clone(value));
+    notify(segments);
+  };
+
+  const commit = (path, value) => {
+    apply(path, value);
+    if (channel) channel.postMessage({ kind: 'write', path, value: clone(value) });
+  };
+
+  // A newly opened tab asks the others for their copy of the tree
+  let resolveReady;
+  const ready = new Promise(resolve => { resolveReady = resolve; });
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data.kind === 'write') {
+        apply(data.path, data.value);
+      } else if (data.kind === 'sync-request') {
+        channel.postMessage({ kind: 'sync', tree: clone(tree) });
+      } else if (data.kind === 'sync') {
+        Object.entries(data.tree || {}).forEach(([key, value]) => {
+          if (!(key in tree)) apply(key, value);
+        });
+        resolveReady();
+      }
+    };
+    channel.postMessage({ kind: 'sync-request' });
+    setTimeout(resolveReady, 150);
+  } else {
+    resolveReady();
+  }
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', () => {
+      disconnectPaths.forEach(path => commit(path, null));
+      disconnectPaths.clear();
+    });
+  }
+
+  return {
+    name: 'local',
+
+    async get(path) {
+      await ready;
+      return clone(readPath(tree, splitPath(path)));
+    },
+
+    async set(path, value) {
+      await ready;
+      commit(path, value);
+    },
+
+    async remove(path) {
+      await ready;
+      commit(path, null);
+    },
+
+    async push(path, value) {
+      await ready;
+      const key = generatePushKey();
+      commit(`${path}/${key}`, value);
+      return key;
+    },
+
+    // Atomic within this tab; tabs only share writes, not locks
+    async transaction(path, update) {
+      await ready;
+      const value = update(clone(readPath(tree, splitPath(path))));
+      commit(path, value);
+      return clone(value);
+    },
+
+    watch(path, callback) {
+      const watcher = { segments: splitPath(path), callback };
+      let active = true;
+
+      ready.then(() => {
+        if (!active) return;
+        watchers.add(watcher);
+        callback(clone(readPath(tree, watcher.segments)));
+      });
+
+      return () => {
+        active = false;
+        watchers.delete(watcher);
+      };
+    },
+
+    async removeOnDisconnect(path) {
+      disconnectPaths.add(path);
+      return { cancel: () => disconnectPaths.delete(path) };
+    }
+  };
+}
+
+// =============================================================================
+// TRANSPORT SELECTION
+// =============================================================================
+export const SignalingTransports = {
+  firebase: createFirebaseTransport,
+  local: createBroadcastTransport
+};
+
+// `?signaling=local` runs calls between tabs without the hosted database
+export function createDefaultTransport() {
+  const requested = new URLSearchParams(window.location.search).get('signaling');
+  const factory = SignalingTransports[requested] || SignalingTransports.firebase;
+  return factory();
+}
@@ -0,0 +1,146 @@
+// =============================================================================
+// SPEAKING MODULE
+// Live speaking rings on tiles and a warning when talking while muted
+// =============================================================================
+//
+// A muted track only carries silence, so our own level is read from a clone
+// of the microphone track that always stays enabled. The clone never leaves
+// this device.
+
+import { StateManager } from './state.js';
+import { UI, MediaControls } from './ui-controls.js';
+import { Participants } from './participants.js';
+import { VideoGrid, LOCAL_TILE_ID } from './video-grid.js';
+import { createAudioMeter, resumeAudioMeters } from './audio-meter.js';
+
+const UPDATE_INTERVAL = 100;
+// About -33 dBFS: normal speech, above a quiet room
+const SPEAKING_LEVEL = 0.45;
+const SPEAKING_HOLD = 400;
+// Roughly 1.5 s of speech within a short window before nagging
+const MUTED_SPEECH_TICKS = 15;
+const MUTED_WARNING_COOLDOWN = 10000;
+
+const meters = new Map();
+
+function getLocalAudioTrack() {
+  const localStream = StateManager.getLocalStream();
+  return localStream ? localStream.getAudioTracks()[0] || null : null;
+}
+
+function getRemoteAudioTrack(participant) {
+  return participant.stream ? participant.stream.getAudioTracks()[0] || null : null;
+}
+
+export const Speaking = {
+  timer: null,
+  mutedSpeechTicks: 0,
+  lastWarningAt: 0,
+
+  start() {
+    if (this.timer) return;
+
+    resumeAudioMeters();
+    this.timer = setInterval(() => this.update(), UPDATE_INTERVAL);
+  },
+
+  // Keeps one meter per tile, rebuilt when the track behind it changes
+  syncMeter(tileId, track, isLocal) {
+    const entry = meters.get(tileId);
+    if (entry && entry.sourceTrack === track && track && track.readyState === 'live') return entry;
+
+    if (entry) this.removeMeter(tileId);
+    if (!track || track.readyState !== 'live') return null;
+
+    const meteredTrack = isLocal ? track.clone() : track;
+    meteredTrack.enabled = true;
+
+    let meter;
+    try {
+      meter = createAudioMeter(meteredTrack);
+    } catch (error) {
+      if (isLocal) meteredTrack.stop();
+      return null;
+    }
+
+    const created = { sourceTrack: track, meteredTrack, isLocal, meter, speakingUntil: 0 };
+    meters.set(tileId, created);
+    return created;
+  },
+
+  removeMeter(tileId) {
+    const entry = meters.get(tileId);
+    if (!entry) return;
+
+    entry.meter.stop();
+    if (entry.isLocal) entry.meteredTrack.stop();
+    meters.delete(tileId);
+    this.setTileSpeaking(tileId, false, 0);
+  },
+
+  update() {
+    const now = Date.now();
+    const tiles = [{ tileId: LOCAL_TILE_ID, track: getLocalAudioTrack(), isLocal: true }];
+    Participants.all().forEach(participant => {
+      tiles.push({ tileId: participant.peerId, track: getRemoteAudioTrack(participant), isLocal: false });
+    });
+
+    const activeIds = new Set(tiles.map(tile => tile.tileId));
+    meters.forEach((entry, tileId) => {
+      if (!activeIds.has(tileId)) this.removeMeter(tileId);
+    });
+
+    tiles.forEach(({ tileId, track, isLocal }) => {
+      const entry = this.syncMeter(tileId, track, isLocal);
+      if (!entry) return;
+
+      const level = entry.meter.getLevel();
+      if (level >= SPEAKING_LEVEL) entry.speakingUntil = now + SPEAKING_HOLD;
+
+      if (isLocal) {
+        const micEnabled = StateManager.isMicEnabled();
+        this.checkMutedSpeech(!micEnabled && level >= SPEAKING_LEVEL, now);
+        // Nobody hears us while muted, so no ring either
+        this.setTileSpeaking(tileId, micEnabled && now < entry.speakingUntil, micEnabled ? level : 0);
+      } else {
+        this.setTileSpeaking(tileId, now < entry.speakingUntil, level);
+      }
+    });
+  },
+
+  setTileSpeaking(tileId, speaking, level) {
+    const tile = VideoGrid.getTile(tileId);
+    if (!tile) return;
+
+    tile.classList.toggle('video-tile--speaking', speaking);
+    tile.style.setProperty('--audio-level', level.toFixed(2));
+  },
+
+  // =============================================================================
+  // MUTED WARNING
+  // =============================================================================
+  checkMutedSpeech(isSpeaking, now) {
+    if (isSpeaking) {
+      this.mutedSpeechTicks += 1;
+    } else {
+      this.mutedSpeechTicks = Math.max(0, this.mutedSpeechTicks - 1);
+    }
+
+    if (this.mutedSpeechTicks < MUTED_SPEECH_TICKS || now - this.lastWarningAt < MUTED_WARNING_COOLDOWN) return;
+
+    this.mutedSpeechTicks = 0;
+    this.lastWarningAt = now;
+    UI.showSnackbar('You are muted', 'Unmute', () => {
+      if (!StateManager.isMicEnabled()) MediaControls.toggleMicrophone();
+    });
+  },
+
+  // Called when the call ends
+  reset() {
+    clearInterval(this.timer);
+    this.timer = null;
+    Array.from(meters.keys()).forEach(tileId => this.removeMeter(tileId));
+    this.mutedSpeechTicks = 0;
+    this.lastWarningAt = 0;
+  }
+};
@@ -11,11 +11,11 @@ export const AppState = {
   currentCamera: 'user',
   
   // UI state
-  isLocalFullscreen: false,
-  isRemoteFullscreen: false,
+  fullscreenTileId: null, // 'local' or a remote peer id
   isClutterFree: false,
   isBrowserFullscreen: false,
   isConnected: false,
+  connectionState: 'idle', // 'idle', 'connecting', 'connected', 'disconnected', 'reconnecting' or 'failed'
   
   // Video mode state
   videoMode: 'fit', // 'fit' or 'fill'
@@ -27,10 +27,9 @@ export const AppState = {
 
 // DOM Elements Cache for Performance
 export const DOM = {
+  videoGrid: null,
   localVideo: null,
-  remoteVideo: null,
-  localVideoHalf: null,
-  remoteVideoHalf: null,
+  localVideoTile: null,
   toggleMicBtn: null,
   toggleCamBtn: null,
   endCallBtn: null,
@@ -44,6 +43,56 @@ export const DOM = {
   camIcon: null,
   viewModeIcon: null,
   connectionDot: null,
+  connectionStatus: null,
+  connectionStatusText: null,
+  e2eeIndicator: null,
+  toggleChatBtn: null,
+  chatBadge: null,
+  chatPanel: null,
+  chatCloseBtn: null,
+  chatMessages: null,
+  chatTyping: null,
+  chatForm: null,
+  chatInput: null,
+  sendFileBtn: null,
+  fileInput: null,
+  transferList: null,
+  screenShareBtn: null,
+  screenShareIcon: null,
+  recordBtn: null,
+  recordingIndicator: null,
+  recordingIndicatorText: null,
+  statsOverlay: null,
+  statsContent: null,
+  statsCloseBtn: null,
+  statsExportBtn: null,
+  bandwidthBtn: null,
+  bandwidthMenu: null,
+  devicesBtn: null,
+  devicesMenu: null,
+  audioProcessingBtn: null,
+  audioProcessingMenu: null,
+  videoWaiting: null,
+  waitingCopyLinkBtn: null,
+  knockCancelBtn: null,
+  knockDialog: null,
+  effectsBtn: null,
+  pipBtn: null,
+  pipMenu: null,
+  effectsMenu: null,
+  effectsImageInput: null,
+  lobbyScreen: null,
+  lobbyVideo: null,
+  lobbyMicBtn: null,
+  lobbyCamBtn: null,
+  lobbyMeterBar: null,
+  lobbyMicSelect: null,
+  lobbyCamSelect: null,
+  lobbySpeakerSelect: null,
+  lobbyEffectSelect: null,
+  lobbyNameInput: null,
+  lobbyBackBtn: null,
+  lobbyJoinBtn: null,
   initialized: false,
 
   // Initialize DOM cache with error checking
@@ -54,10 +103,9 @@ export const DOM = {
         return false;
       }
 
+      this.videoGrid = document.getElementById("videoGrid");
       this.localVideo = document.getElementById("localVideo");
-      this.remoteVideo = document.getElementById("remoteVideo");
-      this.localVideoHalf = document.getElementById("localVideoHalf");
-      this.remoteVideoHalf = document.getElementById("remoteVideoHalf");
+      this.localVideoTile = document.getElementById("localVideoTile");
       this.toggleMicBtn = document.getElementById("toggleMic");
       this.toggleCamBtn = document.getElementById("toggleCam");
       this.endCallBtn = document.getElementById("endCallBtn");
@@ -71,10 +119,60 @@ export const DOM = {
       this.camIcon = document.getElementById("camIcon");
       this.viewModeIcon = document.getElementById("viewModeIcon");
       this.connectionDot = document.getElementById('connectionDot');
+      this.connectionStatus = document.getElementById('connectionStatus');
+      this.connectionStatusText = document.getElementById('connectionStatusText');
+      this.e2eeIndicator = document.getElementById('e2eeIndicator');
+      this.toggleChatBtn = document.getElementById('toggleChat');
+      this.chatBadge = document.getElementById('chatBadge');
+      this.chatPanel = document.getElementById('chatPanel');
+      this.chatCloseBtn = document.getElementById('chatCloseBtn');
+      this.chatMessages = document.getElementById('chatMessages');
+      this.chatTyping = document.getElementById('chatTyping');
+      this.chatForm = document.getElementById('chatForm');
+      this.chatInput = document.getElementById('chatInput');
+      this.sendFileBtn = document.getElementById('sendFileBtn');
+      this.fileInput = document.getElementById('fileInput');
+      this.transferList = document.getElementById('transferList');
+      this.screenShareBtn = document.getElementById('screenShareBtn');
+      this.screenShareIcon = document.getElementById('screenShareIcon');
+      this.recordBtn = document.getElementById('recordBtn');
+      this.recordingIndicator = document.getElementById('recordingIndicator');
+      this.recordingIndicatorText = document.getElementById('recordingIndicatorText');
+      this.statsOverlay = document.getElementById('statsOverlay');
+      this.statsContent = document.getElementById('statsContent');
+      this.statsCloseBtn = document.getElementById('statsCloseBtn');
+      this.statsExportBtn = document.getElementById('statsExportBtn');
+      this.bandwidthBtn = document.getElementById('bandwidthBtn');
+      this.bandwidthMenu = document.getElementById('bandwidthMenu');
+      this.devicesBtn = document.getElementById('devicesBtn');
+      this.devicesMenu = document.getElementById('devicesMenu');
+      this.audioProcessingBtn = document.getElementById('audioProcessingBtn');
+      this.audioProcessingMenu = document.getElementById('audioProcessingMenu');
+      this.videoWaiting = document.getElementById('videoWaiting');
+      this.waitingCopyLinkBtn = document.getElementById('waitingCopyLinkBtn');
+      this.knockCancelBtn = document.getElementById('knockCancelBtn');
+      this.knockDialog = document.getElementById('knockDialog');
+      this.effectsBtn = document.getElementById('effectsBtn');
+      this.pipBtn = document.getElementById('pipBtn');
+      this.pipMenu = document.getElementById('pipMenu');
+      this.effectsMenu = document.getElementById('effectsMenu');
+      this.effectsImageInput = document.getElementById('effectsImageInput');
+      this.lobbyScreen = document.getElementById('lobbyScreen');
+      this.lobbyVideo = document.getElementById('lobbyVideo');
+      this.lobbyMicBtn = document.getElementById('lobbyMicBtn');
+      this.lobbyCamBtn = document.getElementById('lobbyCamBtn');
+      this.lobbyMeterBar = document.getElementById('lobbyMeterBar');
+      this.lobbyMicSelect = document.getElementById('lobbyMicSelect');
+      this.lobbyCamSelect = document.getElementById('lobbyCamSelect');
+      this.lobbySpeakerSelect = document.getElementById('lobbySpeakerSelect');
+      this.lobbyEffectSelect = document.getElementById('lobbyEffectSelect');
+      this.lobbyNameInput = document.getElementById('lobbyNameInput');
+      this.lobbyBackBtn = document.getElementById('lobbyBackBtn');
+      this.lobbyJoinBtn = document.getElementById('lobbyJoinBtn');
 
       // Check if critical elements exist
       const criticalElements = [
-        'localVideo', 'remoteVideo', 'snackbar', 'snackbarText', 
+        'videoGrid', 'localVideo', 'localVideoTile', 'snackbar', 'snackbarText', 
         'toggleMicBtn', 'toggleCamBtn'
       ];
       
@@ -147,21 +245,22 @@ export const StateManager = {
     return AppState.isConnected;
   },
 
-  // Fullscreen states
-  setLocalFullscreen(fullscreen) {
-    AppState.isLocalFullscreen = fullscreen;
+  setConnectionState(state) {
+    AppState.connectionState = state;
+    AppState.isConnected = state === 'connected';
   },
 
-  isLocalFullscreen() {
-    return AppState.isLocalFullscreen;
+  getConnectionState() {
+    return AppState.connectionState;
   },
 
-  setRemoteFullscreen(fullscreen) {
-    AppState.isRemoteFullscreen = fullscreen;
+  // Fullscreen states
+  setFullscreenTile(tileId) {
+    AppState.fullscreenTileId = tileId;
   },
 
-  isRemoteFullscreen() {
-    return AppState.isRemoteFullscreen;
+  getFullscreenTile() {
+    return AppState.fullscreenTileId;
   },
 
   setClutterFree(clutterFree) {
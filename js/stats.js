@@ -0,0 +1,385 @@
+// =============================================================================
+// STATS MODULE
+// Per-participant getStats() sampling, live overlay and JSON export
+// =============================================================================
+//
+// Samples are taken once a second for the whole call, so the exported timeline
+// also covers the time before the overlay was opened.
+
+import { DOM } from './state.js';
+import { UI } from './ui-controls.js';
+import { Participants } from './participants.js';
+
+const SAMPLE_INTERVAL = 1000;
+const SPARKLINE_POINTS = 60;
+const MAX_TIMELINE_SAMPLES = 3600;
+
+const SPARKLINES = [
+  { key: 'inboundBitrate', label: 'In', unit: 'kbps', read: sample => sample.inbound.video.bitrate + sample.inbound.audio.bitrate },
+  { key: 'outboundBitrate', label: 'Out', unit: 'kbps', read: sample => sample.outbound.video.bitrate + sample.outbound.audio.bitrate },
+  { key: 'rtt', label: 'RTT', unit: 'ms', read: sample => sample.rtt || 0 },
+  { key: 'loss', label: 'Loss', unit: '%', read: sample => Math.max(sample.inbound.video.loss, sample.inbound.audio.loss) }
+];
+
+const timelines = new Map();
+const sampleHandlers = [];
+let timer = null;
+
+function emptyDirection() {
+  return { bitrate: 0, codec: null, fps: null, width: null, height: null, jitter: null, loss: 0 };
+}
+
+function toKbps(bitsPerSecond) {
+  return Math.round(bitsPerSecond / 1000);
+}
+
+// Turns one getStats() report into a sample, using the previous report's
+// counters for rates. `previous` is updated in place
+function summarize(report, previous) {
+  const stats = new Map();
+  report.forEach(stat => stats.set(stat.id, stat));
+
+  const sample = {
+    time: Date.now(),
+    rtt: null,
+    candidatePair: null,
+    inbound: { audio: emptyDirection(), video: emptyDirection() },
+    outbound: { audio: emptyDirection(), video: emptyDirection() }
+  };
+
+  const delta = (stat, field) => {
+    const last = previous.get(stat.id);
+    if (!last || last[field] === undefined || stat[field] === undefined) return 0;
+    return stat[field] - last[field];
+  };
+  const bitrate = (stat, field) => {
+    const last = previous.get(stat.id);
+    if (!last || stat.timestamp <= last.timestamp) return 0;
+    return (delta(stat, field) * 8) / ((stat.timestamp - last.timestamp) / 1000);
+  };
+  const codecName = (codecId) => {
+    const codec = stats.get(codecId);
+    return codec && codec.mimeType ? codec.mimeType.split('/')[1] : null;
+  };
+  // With several streams (e.g. camera and screen) show the largest one
+  const mergeVideo = (target, stat) => {
+    if (!stat.frameWidth || (target.width && target.width >= stat.frameWidth)) return;
+    target.width = stat.frameWidth;
+    target.height = stat.frameHeight;
+    target.fps = stat.framesPerSecond !== undefined ? Math.round(stat.framesPerSecond) : null;
+  };
+
+  const lost = { audio: 0, video: 0 };
+  const received = { audio: 0, video: 0 };
+  let selectedPairId = null;
+  let remoteRtt = null;
+
+  report.forEach(stat => {
+    if (stat.type === 'outbound-rtp' && sample.outbound[stat.kind]) {
+      const target = sample.outbound[stat.kind];
+      target.bitrate += bitrate(stat, 'bytesSent');
+      target.codec = target.codec || codecName(stat.codecId);
+      mergeVideo(target, stat);
+    } else if (stat.type === 'inbound-rtp' && sample.inbound[stat.kind]) {
+      const target = sample.inbound[stat.kind];
+      target.bitrate += bitrate(stat, 'bytesReceived');
+      target.codec = target.codec || codecName(stat.codecId);
+      if (stat.jitter !== undefined) target.jitter = Math.round(stat.jitter * 1000);
+      lost[stat.kind] += Math.max(0, delta(stat, 'packetsLost'));
+      received[stat.kind] += Math.max(0, delta(stat, 'packetsReceived'));
+      mergeVideo(target, stat);
+    } else if (stat.type === 'remote-inbound-rtp' && sample.outbound[stat.kind]) {
+      // The other side's view of what we send: loss on our uplink
+      if (stat.fractionLost !== undefined) {
+        const loss = Math.round(stat.fractionLost * 1000) / 10;
+        sample.outbound[stat.kind].loss = Math.max(sample.outbound[stat.kind].loss, loss);
+      }
+      if (stat.roundTripTime !== undefined) remoteRtt = Math.round(stat.roundTripTime * 1000);
+    } else if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      selectedPairId = stat.selectedCandidatePairId;
+    } else if (stat.type === 'candidate-pair' && stat.selected) {
+      // Firefox flags the pair instead of naming it on the transport
+      selectedPairId = stat.id;
+    }
+  });
+
+  ['audio', 'video'].forEach(kind => {
+    const total = lost[kind] + received[kind];
+    sample.inbound[kind].loss = total > 0 ? Math.round((lost[kind] / total) * 1000) / 10 : 0;
+  });
+
+  const pair = stats.get(selectedPairId) || Array.from(stats.values())
+    .find(stat => stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded');
+
+  if (pair) {
+    const local = stats.get(pair.localCandidateId);
+    const remote = stats.get(pair.remoteCandidateId);
+    if (pair.currentRoundTripTime !== undefined) sample.rtt = Math.round(pair.currentRoundTripTime * 1000);
+    if (local && remote) {
+      sample.candidatePair = {
+        local: local.candidateType,
+        remote: remote.candidateType,
+        protocol: local.protocol || null
+      };
+    }
+  }
+
+  if (sample.rtt === null) sample.rtt = remoteRtt;
+
+  previous.clear();
+  report.forEach(stat => {
+    if (stat.type === 'inbound-rtp' || stat.type === 'outbound-rtp') {
+      previous.set(stat.id, {
+        timestamp: stat.timestamp,
+        bytesSent: stat.bytesSent,
+        bytesReceived: stat.bytesReceived,
+        packetsLost: stat.packetsLost,
+        packetsReceived: stat.packetsReceived
+      });
+    }
+  });
+
+  return sample;
+}
+
+function describeVideo(direction) {
+  if (!direction.width) return '—';
+  const fps = direction.fps !== null ? `@${direction.fps}` : '';
+  return `${direction.width}×${direction.height}${fps} ${direction.codec || ''}`.trim();
+}
+
+function describePair(pair) {
+  if (!pair) return '—';
+  return `${pair.local} ↔ ${pair.remote}${pair.protocol ? ` (${pair.protocol})` : ''}`;
+}
+
+function drawSparkline(canvas, values) {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  context.clearRect(0, 0, width, height);
+  if (values.length < 2) return;
+
+  const max = Math.max(...values, 1);
+  const step = width / (SPARKLINE_POINTS - 1);
+  const startX = width - (values.length - 1) * step;
+
+  context.beginPath();
+  values.forEach((value, index) => {
+    const x = startX + index * step;
+    const y = height - 1 - (value / max) * (height - 2);
+    if (index === 0) {
+      context.moveTo(x, y);
+    } else {
+      context.lineTo(x, y);
+    }
+  });
+  context.strokeStyle = '#d0bcff';
+  context.lineWidth = 1.5;
+  context.stroke();
+}
+
+export const CallStats = {
+  isVisible: false,
+
+  init() {
+    if (DOM.statsCloseBtn) {
+      DOM.statsCloseBtn.addEventListener('click', () => this.hide());
+    }
+    if (DOM.statsExportBtn) {
+      DOM.statsExportBtn.addEventListener('click', () => this.exportTimeline());
+    }
+    if (DOM.connectionDot) {
+      DOM.connectionDot.addEventListener('click', () => this.toggle());
+    }
+  },
+
+  // Other modules (e.g. adaptive bitrate) react to fresh measurements
+  onSample(handler) {
+    sampleHandlers.push(handler);
+  },
+
+  start() {
+    if (timer) return;
+    timer = setInterval(() => this.collect(), SAMPLE_INTERVAL);
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = null;
+  },
+
+  async collect() {
+    const participants = Participants.all().filter(participant => participant.session);
+
+    await Promise.all(participants.map(async (participant) => {
+      let timeline = timelines.get(participant.peerId);
+      if (!timeline) {
+        timeline = { peerId: participant.peerId, label: participant.label, previous: new Map(), samples: [] };
+        timelines.set(participant.peerId, timeline);
+      }
+
+      let report;
+      try {
+        report = await participant.session.connection.getStats();
+      } catch (error) {
+        return;
+      }
+
+      const sample = summarize(report, timeline.previous);
+      timeline.label = participant.label;
+      timeline.samples.push(sample);
+      if (timeline.samples.length > MAX_TIMELINE_SAMPLES) timeline.samples.shift();
+
+      sampleHandlers.forEach(handler => handler(participant, sample));
+    }));
+
+    if (this.isVisible) this.render();
+  },
+
+  // =============================================================================
+  // OVERLAY
+  // =============================================================================
+  show() {
+    if (!DOM.statsOverlay) return;
+
+    this.isVisible = true;
+    DOM.statsOverlay.classList.add('show');
+    this.render();
+  },
+
+  hide() {
+    if (!DOM.statsOverlay) return;
+
+    this.isVisible = false;
+    DOM.statsOverlay.classList.remove('show');
+  },
+
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  },
+
+  render() {
+    if (!DOM.statsContent) return;
+
+    const active = Participants.all().filter(participant => timelines.has(participant.peerId));
+    if (active.length === 0) {
+      DOM.statsContent.textContent = 'No one else is connected yet';
+      return;
+    }
+
+    // Rebuild sections only when participants change, so sparklines do not flicker
+    const ids = active.map(participant => participant.peerId).join(',');
+    if (DOM.statsContent.dataset.peers !== ids) {
+      DOM.statsContent.dataset.peers = ids;
+      DOM.statsContent.innerHTML = '';
+      active.forEach(participant => DOM.statsContent.appendChild(this.createSection(participant.peerId)));
+    }
+
+    active.forEach(participant => this.renderSection(timelines.get(participant.peerId)));
+  },
+
+  createSection(peerId) {
+    const section = document.createElement('section');
+    section.className = 'stats-section';
+    section.dataset.peerId = peerId;
+    section.innerHTML = `
+      <div class="stats-section-title"></div>
+      <dl class="stats-metrics">
+        <dt>Bitrate in / out</dt><dd data-metric="bitrate"></dd>
+        <dt>RTT</dt><dd data-metric="rtt"></dd>
+        <dt>Jitter (audio / video)</dt><dd data-metric="jitter"></dd>
+        <dt>Packet loss</dt><dd data-metric="loss"></dd>
+        <dt>Video in</dt><dd data-metric="videoIn"></dd>
+        <dt>Video out</dt><dd data-metric="videoOut"></dd>
+        <dt>Audio codec</dt><dd data-metric="audioCodec"></dd>
+        <dt>Candidate pair</dt><dd data-metric="pair"></dd>
+      </dl>
+      <div class="stats-sparklines">
+        ${SPARKLINES.map(line => `
+          <div class="stats-sparkline">
+            <span class="stats-sparkline-label">${line.label}</span>
+            <canvas width="120" height="24" data-sparkline="${line.key}"></canvas>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    return section;
+  },
+
+  renderSection(timeline) {
+    const section = DOM.statsContent.querySelector(`[data-peer-id="${CSS.escape(timeline.peerId)}"]`);
+    const sample = timeline.samples[timeline.samples.length - 1];
+    if (!section || !sample) return;
+
+    const set = (metric, text) => {
+      section.querySelector(`[data-metric="${metric}"]`).textContent = text;
+    };
+    const inbound = sample.inbound;
+    const outbound = sample.outbound;
+    const jitter = (value) => (value === null ? '—' : `${value} ms`);
+
+    section.querySelector('.stats-section-title').textContent = timeline.label;
+    set('bitrate', `${toKbps(inbound.audio.bitrate + inbound.video.bitrate)} / ${toKbps(outbound.audio.bitrate + outbound.video.bitrate)} kbps`);
+    set('rtt', sample.rtt === null ? '—' : `${sample.rtt} ms`);
+    set('jitter', `${jitter(inbound.audio.jitter)} / ${jitter(inbound.video.jitter)}`);
+    set('loss', `${inbound.audio.loss}% audio, ${inbound.video.loss}% video`);
+    set('videoIn', describeVideo(inbound.video));
+    set('videoOut', describeVideo(outbound.video));
+    set('audioCodec', inbound.audio.codec || outbound.audio.codec || '—');
+    set('pair', describePair(sample.candidatePair));
+
+    const recent = timeline.samples.slice(-SPARKLINE_POINTS);
+    SPARKLINES.forEach(line => {
+      const canvas = section.querySelector(`[data-sparkline="${line.key}"]`);
+      const values = recent.map(line.read).map(value => (line.unit === 'kbps' ? toKbps(value) : value));
+      drawSparkline(canvas, values);
+      canvas.title = `${line.label}: ${values[values.length - 1]} ${line.unit}`;
+    });
+  },
+
+  // =============================================================================
+  // EXPORT
+  // =============================================================================
+  exportTimeline() {
+    if (timelines.size === 0) {
+      UI.showSnackbar('No statistics collected yet');
+      return;
+    }
+
+    // Room ids and peer ids stay out of reports that get attached to bugs
+    const report = {
+      exportedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      sampleInterval: SAMPLE_INTERVAL,
+      participants: Array.from(timelines.values()).map(timeline => ({
+        label: timeline.label,
+        samples: timeline.samples
+      }))
+    };
+
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `call-stats-${report.exportedAt.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  },
+
+  // Called when the call ends
+  reset() {
+    this.stop();
+    this.hide();
+    timelines.clear();
+    if (DOM.statsContent) {
+      DOM.statsContent.innerHTML = '';
+      delete DOM.statsContent.dataset.peers;
+    }
+  }
+};
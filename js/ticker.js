@@ -0,0 +1,29 @@
+// =============================================================================
+// TICKER MODULE
+// Steady timers that keep running while the tab is in the background
+// =============================================================================
+//
+// Timers in a worker keep ticking when the tab is hidden, where setInterval
+// and requestAnimationFrame are throttled or paused.
+
+const TICKER_SOURCE = `
+  let timer = null;
+  self.onmessage = ({ data }) => {
+    clearInterval(timer);
+    if (data > 0) timer = setInterval(() => self.postMessage(null), data);
+  };
+`;
+
+export function createTicker(interval, callback) {
+  const url = URL.createObjectURL(new Blob([TICKER_SOURCE], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  worker.onmessage = () => callback();
+  worker.postMessage(interval);
+
+  return {
+    stop() {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+    }
+  };
+}
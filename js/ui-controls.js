@@ -3,6 +3,10 @@
 // =============================================================================
 
 import { AppState, DOM, StateManager } from './state.js';
+import { WebRTC } from './webrtc.js';
+import { MediaState } from './media-state.js';
+import { VideoEffects } from './video-effects.js';
+import { Bandwidth } from './bandwidth.js';
 
 // =============================================================================
 // VIDEO MODE MANAGEMENT
@@ -21,8 +25,8 @@ export const VideoMode = {
   },
 
   applyToAll(mode = StateManager.getVideoMode()) {
-    this.apply(DOM.localVideo, mode);
-    this.apply(DOM.remoteVideo, mode);
+    if (!DOM.videoGrid) return;
+    DOM.videoGrid.querySelectorAll('.video-element').forEach(video => this.apply(video, mode));
   },
 
   toggle() {
@@ -58,15 +62,40 @@ export const UI = {
   updateConnectionDot() {
     if (!DOM.connectionDot) return;
 
-    if (StateManager.isConnected()) {
-      DOM.connectionDot.classList.add('connected');
-      DOM.connectionDot.classList.remove('disconnected');
+    const state = StateManager.getConnectionState();
+    const isRecovering = state === 'disconnected' || state === 'reconnecting';
+
+    DOM.connectionDot.classList.toggle('connected', state === 'connected');
+    DOM.connectionDot.classList.toggle('reconnecting', isRecovering);
+    DOM.connectionDot.classList.toggle('disconnected', state !== 'connected' && !isRecovering);
+
+    this.updateConnectionStatus(state);
+  },
+
+  updateConnectionStatus(state) {
+    if (!DOM.connectionStatus || !DOM.connectionStatusText) return;
+
+    const messages = {
+      disconnected: 'Connection unstable…',
+      reconnecting: 'Reconnecting…',
+      failed: 'Connection lost'
+    };
+
+    if (messages[state]) {
+      DOM.connectionStatusText.textContent = messages[state];
+      DOM.connectionStatus.classList.add('show');
+      DOM.connectionStatus.classList.toggle('connection-status--failed', state === 'failed');
     } else {
-      DOM.connectionDot.classList.add('disconnected');
-      DOM.connectionDot.classList.remove('connected');
+      DOM.connectionStatus.classList.remove('show');
     }
   },
 
+  // Shown only while every participant's media is encrypted end to end
+  updateEncryptionIndicator(isEncrypted) {
+    if (!DOM.e2eeIndicator) return;
+    DOM.e2eeIndicator.classList.toggle('show', isEncrypted);
+  },
+
   showSnackbar(message, actionText = null, actionCallback = null) {
     if (!DOM.snackbarText || !DOM.snackbar) return;
 
@@ -114,42 +143,55 @@ export const UI = {
 export const MediaControls = {
   // Simple microphone toggle - works independently
   toggleMicrophone() {
+    this.setMicrophoneEnabled(!StateManager.isMicEnabled());
+  },
+
+  setMicrophoneEnabled(enabled) {
     const localStream = StateManager.getLocalStream();
     if (!localStream) return;
     
     const audioTrack = localStream.getAudioTracks()[0];
     if (!audioTrack) return;
 
-    const newState = !StateManager.isMicEnabled();
-    StateManager.setMicEnabled(newState);
-    audioTrack.enabled = newState;
+    StateManager.setMicEnabled(enabled);
+    audioTrack.enabled = enabled;
     
     if (DOM.toggleMicBtn) {
-      DOM.toggleMicBtn.classList.toggle('disabled', !newState);
+      DOM.toggleMicBtn.classList.toggle('disabled', !enabled);
     }
     if (DOM.micIcon) {
-      DOM.micIcon.textContent = newState ? 'mic' : 'mic_off';
+      DOM.micIcon.textContent = enabled ? 'mic' : 'mic_off';
     }
+    this.broadcastState();
   },
 
   // Simple camera toggle - works independently  
   toggleCamera() {
+    this.setCameraEnabled(!StateManager.isCamEnabled());
+  },
+
+  setCameraEnabled(enabled) {
     const localStream = StateManager.getLocalStream();
     if (!localStream) return;
     
     const videoTrack = localStream.getVideoTracks()[0];
     if (!videoTrack) return;
 
-    const newState = !StateManager.isCamEnabled();
-    StateManager.setCamEnabled(newState);
-    videoTrack.enabled = newState;
+    StateManager.setCamEnabled(enabled);
+    videoTrack.enabled = enabled;
     
     if (DOM.toggleCamBtn) {
-      DOM.toggleCamBtn.classList.toggle('disabled', !newState);
+      DOM.toggleCamBtn.classList.toggle('disabled', !enabled);
     }
     if (DOM.camIcon) {
-      DOM.camIcon.textContent = newState ? 'videocam' : 'videocam_off';
+      DOM.camIcon.textContent = enabled ? 'videocam' : 'videocam_off';
     }
+    this.broadcastState();
+  },
+
+  // Lets peers show a mute badge or an avatar instead of silence and black frames
+  broadcastState() {
+    MediaState.broadcast();
   },
 
   // Simple end call - works independently
@@ -165,15 +207,14 @@ export const MediaControls = {
     
     try {
       const videoTrack = localStream.getVideoTracks()[0];
-      if (videoTrack) videoTrack.stop();
+      if (videoTrack) VideoEffects.stop(videoTrack);
       
       AppState.currentCamera = AppState.currentCamera === 'user' ? 'environment' : 'user';
       
       const constraints = {
         video: { 
           facingMode: AppState.currentCamera, 
-          width: { ideal: 1280 }, 
-          height: { ideal: 720 } 
+          ...Bandwidth.getCaptureConstraints()
         },
         audio: false
       };
@@ -190,20 +231,9 @@ export const MediaControls = {
       
       const newVideoTrack = newStream.getVideoTracks()[0];
       
-      const { peerConnection } = await import('./webrtc.js');
-      const sender = peerConnection.getSenders().find(s => s.track && s.track.kind === 'video');
-      
-      if (sender && newVideoTrack) {
-        await sender.replaceTrack(newVideoTrack);
-      }
-      
-      if (videoTrack) {
-        localStream.removeTrack(videoTrack);
+      if (newVideoTrack) {
+        await WebRTC.replaceLocalTrack(newVideoTrack);
       }
-      localStream.addTrack(newVideoTrack);
-      DOM.localVideo.srcObject = localStream;
-      
-      VideoMode.apply(DOM.localVideo);
       
     } catch (error) {
       UI.showSnackbar('Camera switch failed');
@@ -0,0 +1,468 @@
+// =============================================================================
+// VIDEO EFFECTS MODULE
+// Background blur and replacement on the outgoing camera track, on the CPU
+// =============================================================================
+//
+// Every camera track goes through process() before it reaches the local
+// stream, so the effect survives camera switches and device changes, and the
+// local tile previews exactly what is sent. Frames are segmented with the
+// MediaPipe selfie segmenter running in WASM (CPU delegate) and composited on
+// a 2D canvas. Chrome pipes frames through MediaStreamTrackProcessor and
+// MediaStreamTrackGenerator; elsewhere a canvas is captured instead.
+
+import { DOM, StateManager } from './state.js';
+import { UI } from './ui-controls.js';
+import { WebRTC } from './webrtc.js';
+import { createControlMenu, createMenuItem } from './control-menu.js';
+import { createTicker } from './ticker.js';
+
+const STORAGE_KEY = 'videoCall_videoEffect';
+const IMAGE_STORAGE_KEY = 'videoCall_videoEffectImage';
+
+// Vendored (see vendor/mediapipe/README.md): camera frames never meet code or
+// a model fetched from a third party at runtime
+const VISION_PATH = new URL('../vendor/mediapipe/tasks-vision-0.10.14/', import.meta.url).href;
+const MODEL_PATH = new URL('../vendor/mediapipe/selfie_segmenter.tflite', import.meta.url).href;
+
+// The model works at 256px; segmenting a small copy keeps the CPU cost flat
+const SEGMENT_WIDTH = 256;
+// Downscaling and scaling back up blurs without needing canvas filters
+const BLUR_WIDTH = 48;
+const FALLBACK_FRAME_RATE = 30;
+const IMAGE_MAX_WIDTH = 1280;
+
+export const EFFECT_OPTIONS = [
+  { mode: 'none', label: 'No effect' },
+  { mode: 'blur', label: 'Blur background' },
+  { mode: 'image', label: 'Background image' }
+];
+
+// Output track -> pipeline, so the camera behind it can be found and stopped
+const pipelines = new Map();
+const changeHandlers = [];
+
+let segmenterPromise = null;
+let segmenter = null;
+
+function loadSegmenter() {
+  if (!segmenterPromise) {
+    segmenterPromise = (async () => {
+      const { FilesetResolver, ImageSegmenter } = await import(`${VISION_PATH}vision_bundle.mjs`);
+      // Only the SIMD build is vendored; every browser with the frame APIs has SIMD
+      if (!(await FilesetResolver.isSimdSupported())) {
+        const error = new Error('WebAssembly SIMD is not supported');
+        error.code = 'unsupported';
+        throw error;
+      }
+      const fileset = {
+        wasmLoaderPath: `${VISION_PATH}wasm/vision_wasm_internal.js`,
+        wasmBinaryPath: `${VISION_PATH}wasm/vision_wasm_internal.wasm`
+      };
+      segmenter = await ImageSegmenter.createFromOptions(fileset, {
+        baseOptions: { modelAssetPath: MODEL_PATH, delegate: 'CPU' },
+        runningMode: 'VIDEO',
+        outputCategoryMask: false,
+        outputConfidenceMasks: true
+      });
+      return segmenter;
+    })().catch(error => {
+      segmenterPromise = null;
+      throw error;
+    });
+  }
+  return segmenterPromise;
+}
+
+function createCanvas(width = 1, height = 1) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function resizeCanvas(canvas, width, height) {
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+}
+
+function drawCover(context, image, width, height) {
+  const scale = Math.max(width / image.width, height / image.height);
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+  context.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+// Per pipeline canvases: the output frame, the small copy that is segmented,
+// the mask as an alpha image and the blurred background
+function createCompositor() {
+  const output = createCanvas();
+  const outputContext = output.getContext('2d');
+  const small = createCanvas();
+  const smallContext = small.getContext('2d', { willReadFrequently: true });
+  const mask = createCanvas();
+  const maskContext = mask.getContext('2d');
+  const blur = createCanvas();
+  const blurContext = blur.getContext('2d');
+  let maskImage = null;
+
+  const drawBackground = (source, width, height) => {
+    if (VideoEffects.mode === 'image' && VideoEffects.backgroundImage) {
+      drawCover(outputContext, VideoEffects.backgroundImage, width, height);
+      return;
+    }
+    resizeCanvas(blur, BLUR_WIDTH, Math.max(1, Math.round(BLUR_WIDTH * height / width)));
+    blurContext.drawImage(source, 0, 0, blur.width, blur.height);
+    outputContext.imageSmoothingQuality = 'high';
+    outputContext.drawImage(blur, 0, 0, width, height);
+  };
+
+  const updateMask = (source, width, height) => {
+    const smallHeight = Math.max(1, Math.round(SEGMENT_WIDTH * height / width));
+    resizeCanvas(small, SEGMENT_WIDTH, smallHeight);
+    smallContext.drawImage(source, 0, 0, small.width, small.height);
+
+    const result = segmenter.segmentForVideo(small, performance.now());
+    const confidence = result.confidenceMasks && result.confidenceMasks[0];
+    if (!confidence) {
+      if (result.close) result.close();
+      return false;
+    }
+
+    const values = confidence.getAsFloat32Array();
+    resizeCanvas(mask, confidence.width, confidence.height);
+    if (!maskImage || maskImage.width !== mask.width || maskImage.height !== mask.height) {
+      maskImage = maskContext.createImageData(mask.width, mask.height);
+    }
+    for (let i = 0; i < values.length; i++) {
+      maskImage.data[i * 4 + 3] = values[i] * 255;
+    }
+    maskContext.putImageData(maskImage, 0, 0);
+
+    if (result.close) result.close();
+    return true;
+  };
+
+  return {
+    canvas: output,
+
+    draw(source, width, height) {
+      resizeCanvas(output, width, height);
+      outputContext.globalCompositeOperation = 'source-over';
+
+      // Until the model is ready nothing of the room is shown at all
+      if (!segmenter || !updateMask(source, width, height)) {
+        drawBackground(source, width, height);
+        return;
+      }
+
+      // The person, cut out with the (smoothly upscaled) mask...
+      outputContext.globalCompositeOperation = 'copy';
+      outputContext.imageSmoothingQuality = 'high';
+      outputContext.drawImage(mask, 0, 0, width, height);
+      outputContext.globalCompositeOperation = 'source-in';
+      outputContext.drawImage(source, 0, 0, width, height);
+
+      // ...with the background drawn behind
+      outputContext.globalCompositeOperation = 'destination-over';
+      drawBackground(source, width, height);
+      outputContext.globalCompositeOperation = 'source-over';
+    }
+  };
+}
+
+// Chrome: frames are transformed as they arrive
+function createFramePipeline(source) {
+  const compositor = createCompositor();
+  const processor = new MediaStreamTrackProcessor({ track: source });
+  const generator = new MediaStreamTrackGenerator({ kind: 'video' });
+  const abort = new AbortController();
+
+  const transformer = new TransformStream({
+    transform(frame, controller) {
+      try {
+        compositor.draw(frame, frame.displayWidth, frame.displayHeight);
+        controller.enqueue(new VideoFrame(compositor.canvas, { timestamp: frame.timestamp }));
+      } catch (error) {
+        // A frame that fails to composite is dropped
+      } finally {
+        frame.close();
+      }
+    }
+  });
+
+  processor.readable
+    .pipeThrough(transformer, { signal: abort.signal })
+    .pipeTo(generator.writable, { signal: abort.signal })
+    .catch(() => {});
+
+  return {
+    source,
+    track: generator,
+    stop() {
+      abort.abort();
+      generator.stop();
+    }
+  };
+}
+
+// Elsewhere: play the camera in a hidden video and capture the canvas
+function createCanvasPipeline(source) {
+  const compositor = createCompositor();
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = new MediaStream([source]);
+  video.play().catch(() => {});
+
+  const track = compositor.canvas.captureStream(FALLBACK_FRAME_RATE).getVideoTracks()[0];
+  const ticker = createTicker(1000 / FALLBACK_FRAME_RATE, () => {
+    if (!video.videoWidth) return;
+    try {
+      compositor.draw(video, video.videoWidth, video.videoHeight);
+    } catch (error) {
+      // Skipped; the next tick tries again
+    }
+  });
+
+  return {
+    source,
+    track,
+    stop() {
+      ticker.stop();
+      video.srcObject = null;
+      track.stop();
+    }
+  };
+}
+
+export const VideoEffects = {
+  mode: 'none',
+  backgroundImage: null,
+  menu: null,
+
+  init() {
+    this.mode = this.isSupported() ? this.loadMode() : 'none';
+    this.loadImage();
+
+    if (DOM.effectsBtn && DOM.effectsMenu) {
+      if (!this.isSupported()) DOM.effectsBtn.style.display = 'none';
+      this.menu = createControlMenu(DOM.effectsBtn, DOM.effectsMenu, {
+        onOpen: () => this.renderMenu()
+      });
+    }
+
+    if (DOM.effectsImageInput) {
+      DOM.effectsImageInput.addEventListener('change', () => {
+        const file = DOM.effectsImageInput.files[0];
+        DOM.effectsImageInput.value = '';
+        if (file) this.useImageFile(file);
+      });
+    }
+    this.updateButton();
+  },
+
+  // Fired once a new effect is in place, e.g. to refresh a preview
+  onChange(handler) {
+    changeHandlers.push(handler);
+  },
+
+  isSupported() {
+    const hasPipeline = (typeof window.MediaStreamTrackProcessor !== 'undefined' &&
+      typeof window.MediaStreamTrackGenerator !== 'undefined') ||
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    return typeof WebAssembly === 'object' && hasPipeline;
+  },
+
+  isActive() {
+    return this.mode !== 'none';
+  },
+
+  loadMode() {
+    try {
+      const mode = localStorage.getItem(STORAGE_KEY);
+      return EFFECT_OPTIONS.some(option => option.mode === mode) ? mode : 'none';
+    } catch (error) {
+      return 'none';
+    }
+  },
+
+  loadImage() {
+    let dataUrl = null;
+    try {
+      dataUrl = localStorage.getItem(IMAGE_STORAGE_KEY);
+    } catch (error) {
+      // No saved image
+    }
+    if (!dataUrl) return;
+
+    const image = new Image();
+    image.onload = () => {
+      this.backgroundImage = image;
+    };
+    image.src = dataUrl;
+  },
+
+  // =============================================================================
+  // PIPELINE
+  // =============================================================================
+  // Returns the track to send: the camera itself, or a processed copy of it
+  process(cameraTrack) {
+    if (!this.isActive() || !this.isSupported() || cameraTrack.kind !== 'video') return cameraTrack;
+
+    loadSegmenter().catch(() => this.handleLoadError());
+
+    const pipeline = typeof window.MediaStreamTrackProcessor !== 'undefined' &&
+      typeof window.MediaStreamTrackGenerator !== 'undefined'
+      ? createFramePipeline(cameraTrack)
+      : createCanvasPipeline(cameraTrack);
+
+    // Camera-off now applies to the output; the camera has to keep feeding it
+    pipeline.track.enabled = cameraTrack.enabled;
+    cameraTrack.enabled = true;
+    pipelines.set(pipeline.track, pipeline);
+    return pipeline.track;
+  },
+
+  // The camera behind a processed track; device ids and settings live there
+  getSourceTrack(track) {
+    const pipeline = track ? pipelines.get(track) : null;
+    return pipeline ? pipeline.source : track;
+  },
+
+  // Stops a track we handed out along with its camera, unless that camera
+  // carries on behind `nextTrack`
+  stop(track, nextTrack = null) {
+    const keep = nextTrack ? this.getSourceTrack(nextTrack) : null;
+    const pipeline = pipelines.get(track);
+
+    if (pipeline) {
+      pipelines.delete(track);
+      pipeline.stop();
+      if (pipeline.source !== keep) pipeline.source.stop();
+    }
+    if (track !== keep) track.stop();
+  },
+
+  handleLoadError() {
+    if (!this.isActive()) return;
+
+    UI.showSnackbar("Background effects couldn't be loaded");
+    this.select('none');
+  },
+
+  // =============================================================================
+  // SELECTION
+  // =============================================================================
+  async select(mode) {
+    if (mode === 'image' && !this.backgroundImage) {
+      this.chooseImage();
+      return;
+    }
+
+    const previousMode = this.mode;
+    const wasActive = this.isActive();
+    this.setMode(mode);
+
+    // A running pipeline picks up blur/image changes on its next frame; only
+    // turning effects on or off swaps the track
+    const localStream = StateManager.getLocalStream();
+    const currentTrack = localStream ? localStream.getVideoTracks()[0] : null;
+    if (currentTrack && wasActive !== this.isActive()) {
+      try {
+        await WebRTC.replaceLocalTrack(this.getSourceTrack(currentTrack));
+      } catch (error) {
+        // The old track is still the one being sent
+        this.setMode(previousMode);
+        UI.showSnackbar(mode === 'none'
+          ? "Background effects couldn't be turned off"
+          : "Background effects couldn't be turned on");
+      }
+    }
+
+    changeHandlers.forEach(handler => handler(this.mode));
+  },
+
+  setMode(mode) {
+    this.mode = mode;
+    try {
+      localStorage.setItem(STORAGE_KEY, mode);
+    } catch (error) {
+      // Effect just isn't remembered
+    }
+    this.updateButton();
+  },
+
+  chooseImage() {
+    if (DOM.effectsImageInput) DOM.effectsImageInput.click();
+  },
+
+  // Scaled down and kept as a JPEG so it fits in localStorage
+  async useImageFile(file) {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file);
+    } catch (error) {
+      UI.showSnackbar("That image couldn't be opened");
+      return;
+    }
+
+    const scale = Math.min(1, IMAGE_MAX_WIDTH / bitmap.width);
+    const canvas = createCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+    try {
+      localStorage.setItem(IMAGE_STORAGE_KEY, dataUrl);
+    } catch (error) {
+      // Used for this session only
+    }
+
+    const image = new Image();
+    await new Promise(resolve => {
+      image.onload = resolve;
+      image.onerror = resolve;
+      image.src = dataUrl;
+    });
+    this.backgroundImage = image;
+    await this.select('image');
+  },
+
+  // =============================================================================
+  // MENU
+  // =============================================================================
+  updateButton() {
+    if (DOM.effectsBtn) DOM.effectsBtn.classList.toggle('active', this.isActive());
+  },
+
+  renderMenu() {
+    const menu = DOM.effectsMenu;
+    if (!menu) return;
+
+    menu.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'control-menu-title';
+    title.textContent = 'Background';
+    menu.appendChild(title);
+
+    const items = [
+      ...EFFECT_OPTIONS.map(option => ({ ...option, checked: option.mode === this.mode })),
+      { mode: 'choose', label: 'Choose image…', checked: false }
+    ];
+
+    items.forEach(option => {
+      const item = createMenuItem(option.mode === 'choose' ? 'menuitem' : 'menuitemradio', option.label);
+      if (option.mode !== 'choose') item.setAttribute('aria-checked', String(option.checked));
+      item.addEventListener('click', () => {
+        this.menu.close();
+        if (option.mode === 'choose') {
+          this.chooseImage();
+        } else {
+          this.select(option.mode);
+        }
+      });
+      menu.appendChild(item);
+    });
+  }
+};
@@ -0,0 +1,245 @@
+// =============================================================================
+// VIDEO GRID MODULE
+// Responsive participant tiles: the local tile plus one per remote peer
+// =============================================================================
+
+import { DOM } from './state.js';
+import { VideoMode } from './ui-controls.js';
+
+export const LOCAL_TILE_ID = 'local';
+
+function getInitials(label) {
+  return label
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(word => Array.from(word)[0].toUpperCase())
+    .join('');
+}
+
+// Stable per participant, so their avatar keeps its colour
+function getAvatarHue(peerId) {
+  let hash = 0;
+  for (let i = 0; i < peerId.length; i++) {
+    hash = (hash * 31 + peerId.charCodeAt(i)) % 360;
+  }
+  return String(hash);
+}
+
+export const VideoGrid = {
+  // Speaker for everything remote; '' is the system default
+  audioOutputId: '',
+
+  getTile(tileId) {
+    if (!DOM.videoGrid) return null;
+    return Array.from(DOM.videoGrid.querySelectorAll('.video-tile'))
+      .find(tile => tile.dataset.peerId === tileId) || null;
+  },
+
+  getVideo(tileId) {
+    const tile = this.getTile(tileId);
+    return tile ? tile.querySelector('.video-element') : null;
+  },
+
+  getRemoteTileIds() {
+    if (!DOM.videoGrid) return [];
+    return Array.from(DOM.videoGrid.querySelectorAll('.video-tile--remote'))
+      .map(tile => tile.dataset.peerId);
+  },
+
+  getAllVideos() {
+    if (!DOM.videoGrid) return [];
+    return Array.from(DOM.videoGrid.querySelectorAll('.video-element'));
+  },
+
+  addTile(peerId, label) {
+    const existing = this.getTile(peerId);
+    if (existing) return existing;
+
+    const tile = document.createElement('div');
+    tile.className = 'video-tile video-tile--remote';
+    tile.dataset.peerId = peerId;
+    tile.innerHTML = `
+      <video autoplay playsinline class="video-element"></video>
+      <div class="tile-avatar" aria-hidden="true">
+        <span class="tile-avatar-initials"></span>
+      </div>
+      <div class="video-label">
+        <span class="material-symbols-outlined">person</span>
+        <span class="video-label-text"></span>
+      </div>
+      <div class="tile-mic-off" title="Microphone off">
+        <span class="material-symbols-outlined">mic_off</span>
+      </div>
+      <div class="tile-verification" title="Compare this code with the other person to confirm the call is private">
+        <span class="material-symbols-outlined">lock</span>
+        <span class="tile-verification-code"></span>
+      </div>
+      <div class="tile-status">
+        <span class="material-symbols-outlined">sync</span>
+        <span class="tile-status-text">Connecting…</span>
+      </div>
+    `;
+    tile.querySelector('.video-label-text').textContent = label;
+    tile.querySelector('.tile-avatar-initials').textContent = getInitials(label);
+    tile.style.setProperty('--avatar-hue', getAvatarHue(peerId));
+
+    // Remote tiles come first, the local preview stays last
+    DOM.videoGrid.insertBefore(tile, DOM.localVideoTile);
+    VideoMode.apply(tile.querySelector('.video-element'));
+    this.applyAudioOutput(tile.querySelector('.video-element'));
+    this.setTileState(peerId, 'connecting');
+    this.updateLayout();
+    return tile;
+  },
+
+  // A participant sharing their screen next to the camera gets the screen as
+  // the main video and the camera in a corner. Screen audio without video
+  // (tab audio while the screen replaces the camera) plays separately
+  setTileStream(peerId, stream, screenStream = null, showsScreen = false) {
+    const video = this.getVideo(peerId);
+    if (!video) return;
+
+    const presenting = Boolean(screenStream && screenStream.getVideoTracks().length > 0);
+    const mainStream = presenting ? screenStream : stream;
+    if (video.srcObject !== mainStream) video.srcObject = mainStream;
+
+    // Screens are always shown whole, whatever the view mode
+    video.classList.toggle('video-element--screen', presenting || showsScreen);
+    this.setTileCorner(peerId, presenting ? stream : null);
+    this.setTileAudio(peerId, screenStream && !presenting ? screenStream : null);
+    VideoMode.apply(video);
+  },
+
+  setTileCorner(tileId, stream, muted = false) {
+    const tile = this.getTile(tileId);
+    if (!tile) return;
+
+    let corner = tile.querySelector('.tile-corner-video');
+    if (!stream) {
+      if (corner) {
+        corner.srcObject = null;
+        corner.remove();
+      }
+      return;
+    }
+
+    if (!corner) {
+      corner = document.createElement('video');
+      corner.className = 'tile-corner-video';
+      corner.autoplay = true;
+      corner.playsInline = true;
+      this.applyAudioOutput(corner);
+      tile.appendChild(corner);
+    }
+    corner.muted = muted;
+    if (corner.srcObject !== stream) corner.srcObject = stream;
+  },
+
+  setTileAudio(tileId, stream) {
+    const tile = this.getTile(tileId);
+    if (!tile) return;
+
+    let audio = tile.querySelector('.tile-audio');
+    if (!stream) {
+      if (audio) {
+        audio.srcObject = null;
+        audio.remove();
+      }
+      return;
+    }
+
+    if (!audio) {
+      audio = document.createElement('audio');
+      audio.className = 'tile-audio';
+      audio.autoplay = true;
+      this.applyAudioOutput(audio);
+      tile.appendChild(audio);
+    }
+    if (audio.srcObject !== stream) audio.srcObject = stream;
+  },
+
+  async setAudioOutput(deviceId) {
+    this.audioOutputId = deviceId || '';
+    if (!DOM.videoGrid) return;
+
+    const elements = DOM.videoGrid.querySelectorAll('.video-tile--remote video, .video-tile--remote audio');
+    await Promise.all(Array.from(elements).map(element => this.applyAudioOutput(element)));
+  },
+
+  async applyAudioOutput(element) {
+    if (typeof element.setSinkId !== 'function' || element.sinkId === this.audioOutputId) return;
+
+    try {
+      await element.setSinkId(this.audioOutputId);
+    } catch (error) {
+      // The device went away; the element keeps playing on its current output
+    }
+  },
+
+  // Camera off shows the avatar, unless a shared screen is what's on the wire
+  setTileMediaState(peerId, micEnabled, cameraEnabled) {
+    const tile = this.getTile(peerId);
+    if (!tile) return;
+
+    tile.classList.toggle('video-tile--muted', !micEnabled);
+    tile.classList.toggle('video-tile--camera-off', !cameraEnabled);
+  },
+
+  setTileState(peerId, state) {
+    const tile = this.getTile(peerId);
+    if (!tile) return;
+
+    const messages = {
+      connecting: 'Connecting…',
+      disconnected: 'Connection unstable…',
+      reconnecting: 'Reconnecting…',
+      failed: 'Connection lost'
+    };
+
+    tile.classList.toggle('video-tile--pending', Boolean(messages[state]));
+    tile.classList.toggle('video-tile--failed', state === 'failed');
+    if (messages[state]) {
+      tile.querySelector('.tile-status-text').textContent = messages[state];
+    }
+  },
+
+  setTileVerification(peerId, code) {
+    const tile = this.getTile(peerId);
+    if (!tile) return;
+
+    tile.querySelector('.tile-verification-code').textContent = code;
+    tile.classList.add('video-tile--encrypted');
+  },
+
+  removeTile(peerId) {
+    const tile = this.getTile(peerId);
+    if (!tile || peerId === LOCAL_TILE_ID) return;
+
+    const video = tile.querySelector('.video-element');
+    if (video) video.srcObject = null;
+    this.setTileCorner(peerId, null);
+    this.setTileAudio(peerId, null);
+    tile.remove();
+    this.updateLayout();
+  },
+
+  clearRemoteTiles() {
+    this.getRemoteTileIds().forEach(peerId => this.removeTile(peerId));
+  },
+
+  // Takes the place of the remote tiles while nobody else is in the room.
+  // waiting is false, 'alone' or 'knocking' (asking to be let in)
+  setWaiting(waiting) {
+    if (!DOM.videoWaiting) return;
+    DOM.videoWaiting.style.display = waiting ? 'flex' : 'none';
+    if (waiting) DOM.videoWaiting.dataset.state = waiting;
+    this.updateLayout();
+  },
+
+  updateLayout() {
+    if (!DOM.videoGrid) return;
+    const waiting = Boolean(DOM.videoWaiting) && DOM.videoWaiting.style.display !== 'none';
+    DOM.videoGrid.dataset.count = DOM.videoGrid.querySelectorAll('.video-tile').length + (waiting ? 1 : 0);
+  }
+};
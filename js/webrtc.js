@@ -3,47 +3,119 @@
 // WebRTC connection management with room-based signaling
 // =============================================================================
 
-import { db, ref, onValue, set, remove, onDisconnect } from '../firebase-config.js';
+import { createDefaultTransport } from './signaling.js';
+import { IceServers } from './ice-servers.js';
+import { roomConfig } from '../room-config.js';
+import { RoomCrypto } from './room-crypto.js';
+import { MediaEncryption } from './media-encryption.js';
+import { createConnectionMonitor } from './connection-monitor.js';
+import { createPeerSession } from './peer-session.js';
+import { Participants, MAX_PARTICIPANTS } from './participants.js';
 import { DOM, StateManager } from './state.js';
 import { VideoMode, UI } from './ui-controls.js';
+import { VideoGrid } from './video-grid.js';
+import { FullscreenManager } from './fullscreen-events.js';
+import { Chat } from './chat.js';
+import { FileTransfer } from './file-transfer.js';
+import { ControlChannel } from './control-channel.js';
+import { ScreenShare } from './screen-share.js';
+import { Recorder } from './recorder.js';
+import { CallStats } from './stats.js';
+import { Bandwidth } from './bandwidth.js';
+import { Devices } from './devices.js';
+import { MediaState } from './media-state.js';
+import { Speaking } from './speaking.js';
+import { VideoEffects } from './video-effects.js';
+import { AudioProcessing } from './audio-processing.js';
+import { PictureInPicture } from './picture-in-picture.js';
+import { Admission, createAdmission, KNOCK_DENIED_MESSAGE } from './admission.js';
 
 // =============================================================================
 // GLOBAL STATE
 // =============================================================================
 let currentRoomKey = null;
-let offerListener = null;
-let answerListener = null;
-let disconnectCleanup = null;
+let localPeerId = null;
+let rtcConfiguration = null;
+let peersListener = null;
+let activityTimer = null;
+let disconnectHandles = [];
+let signaling = null;
+let signalingCipher = null;
+let participantCounter = 0;
+// Approval rooms only: null everywhere else
+let admission = null;
+let approvedIds = null;
+let lastPeers = null;
+let knocking = false;
+let knockNames = new Map();
+let outrankedBy = null;
+// Reconnecting to a room we were let into knocks with our old id, and members
+// let back in anyone they were in the call with
+let admittedRoomKey = null;
+let admittedPeerId = null;
+let formerPeerIds = new Set();
+// Our last departure from a room, which has to land before we arrive again
+let leaving = Promise.resolve();
 
 // =============================================================================
-// FIREBASE REFERENCES
+// SIGNALING PATHS
 // =============================================================================
+function getSignaling() {
+  if (!signaling) signaling = createDefaultTransport();
+  return signaling;
+}
+
 function getRoomRefs(roomKey) {
   return {
-    offer: ref(db, `rooms/${roomKey}/offer`),
-    answer: ref(db, `rooms/${roomKey}/answer`)
+    meta: `rooms/${roomKey}/meta`,
+    peers: `rooms/${roomKey}/peers`,
+    signals: `rooms/${roomKey}/signals`
   };
 }
 
-// =============================================================================
-// WEBRTC SETUP
-// =============================================================================
-export const peerConnection = new RTCPeerConnection({ 
-  iceServers: [{ urls: "stun:stun.l.google.com:19302" }] 
-});
+// Lets tools/rooms.mjs tell abandoned rooms from live ones. Whoever opens the
+// room decides whether it requires approval; everyone else keeps that choice.
+// `approval` is only passed when the room looked empty: it starts the room
+// afresh unless another opener got there first, or the metadata was left by
+// a tab that crashed a moment ago, whose choice then stands
+async function touchRoom(roomRefs, approval) {
+  return getSignaling().transaction(roomRefs.meta, meta => {
+    const now = Date.now();
+    const live = Boolean(meta) && now - (meta.lastActivity || 0) < 2 * roomConfig.activityInterval;
+    const reopened = approval !== undefined && !live;
+    return {
+      createdAt: (!reopened && meta && meta.createdAt) || now,
+      lastActivity: now,
+      approval: reopened ? approval : Boolean(meta && meta.approval)
+    };
+  });
+}
+
+export const ROOM_BUSY_MESSAGE = `This room is busy. It already has ${MAX_PARTICIPANTS} people, try again later.`;
+
+function getSessionConfiguration(configuration, encrypted) {
+  return encrypted ? MediaEncryption.getConfiguration(configuration) : configuration;
+}
+
+function generatePeerId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
 
 // =============================================================================
 // ROOM KEY GENERATION
 // =============================================================================
-export function generateRoomKey(sharedSecret, sharedMemory) {
-  // Create room key as: sharedSecret-sharedMemory
-  return `${sharedSecret.trim()}-${sharedMemory.trim()}`;
+// Only the derived id reaches the database path, the URL and the share link
+export async function generateRoomKey(sharedSecret, sharedMemory) {
+  return RoomCrypto.deriveRoomId(await RoomCrypto.deriveRoomMaterial(sharedSecret, sharedMemory));
 }
 
 export function generateShareableLink(roomKey) {
   const baseUrl = window.location.origin + window.location.pathname;
   const encodedRoomKey = encodeURIComponent(roomKey);
-  return `${baseUrl}?room=${encodedRoomKey}`;
+  const transport = getSignaling();
+  const transportParam = transport.name !== 'firebase' ? `&signaling=${transport.name}` : '';
+  return `${baseUrl}?room=${encodedRoomKey}${transportParam}`;
 }
 
 // =============================================================================
@@ -52,244 +124,540 @@ export function generateShareableLink(roomKey) {
 export const WebRTC = {
   async initializeMedia() {
     try {
+      // Resolved per call so ICE server settings and fresh credentials apply
+      rtcConfiguration = await IceServers.getConfiguration();
+      
+      // Remembered devices are preferred but not required
       const constraints = {
-        video: { 
-          facingMode: 'user', 
-          width: { ideal: 1280 }, 
-          height: { ideal: 720 } 
-        },
-        audio: { 
-          echoCancellation: true, 
-          noiseSuppression: true, 
-          autoGainControl: true 
-        }
+        video: Devices.getVideoConstraints(),
+        audio: Devices.getAudioConstraints()
       };
 
       const localStream = await navigator.mediaDevices.getUserMedia(constraints);
+      
+      // Background effects and audio processing sit between the devices and
+      // everything else
+      localStream.getTracks().forEach(track => {
+        const outgoingTrack = this.processLocalTrack(track);
+        if (outgoingTrack !== track) {
+          localStream.removeTrack(track);
+          localStream.addTrack(outgoingTrack);
+        }
+      });
+      
       StateManager.setLocalStream(localStream);
       DOM.localVideo.srcObject = localStream;
       
       VideoMode.apply(DOM.localVideo);
-      
-      localStream.getTracks().forEach(track => {
-        peerConnection.addTrack(track, localStream);
-      });
+      await Devices.refresh();
+      await Devices.applyPreferredOutput();
       
     } catch (error) {
-      UI.showSnackbar('Camera/microphone access failed', 'Retry', () => this.initializeMedia());
+      if (error.code === 'relay-unavailable') {
+        UI.showSnackbar('Relay-only mode needs a TURN server. Turn it off or configure one.');
+      } else {
+        UI.showSnackbar('Camera/microphone access failed', 'Retry', () => this.initializeMedia());
+      }
       throw error;
     }
   },
 
-  async startConnection(roomKey) {
+  // Swap the signaling backend, e.g. for a self-hosted or in-memory store
+  setSignalingTransport(transport) {
+    this.cleanup();
+    signaling = transport;
+  },
+
+  // Derives the signaling (and, if enabled, media) keys locally; required before startConnection
+  async setRoomCredentials(sharedSecret, sharedMemory) {
+    await this.setRoomMaterial(await RoomCrypto.deriveRoomMaterial(sharedSecret, sharedMemory));
+  },
+
+  // Same, from the key material a saved room keeps instead of the credentials
+  async setRoomMaterial(roomMaterial) {
+    signalingCipher = await RoomCrypto.createSignalingCipher(roomMaterial);
+    await MediaEncryption.prepare(roomMaterial);
+  },
+
+  hasRoomCredentials() {
+    return signalingCipher !== null;
+  },
+
+  // Checked before asking for the camera; joining settles races for the last place
+  async isRoomFull(roomKey) {
+    try {
+      const peers = await getSignaling().get(getRoomRefs(roomKey).peers);
+      return Object.keys(peers || {}).length >= MAX_PARTICIPANTS;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async startConnection(roomKey, transport = null) {
+    if (transport) this.setSignalingTransport(transport);
+    
+    if (!signalingCipher) {
+      const error = new Error('Room credentials are required to encrypt signaling');
+      error.code = 'missing-credentials';
+      throw error;
+    }
+    
+    // A rejoin may come long after the call started, past the TURN credentials' TTL
+    await this.refreshConfiguration();
+    
+    // Clean up any previous attempt, including our old presence entry. If we
+    // were the last one in, leaving removes the room's metadata, so only
+    // write ours once that is done
+    await this.cleanup();
+    
     currentRoomKey = roomKey;
+    localPeerId = generatePeerId();
+    participantCounter = 0;
+    this.updateCallState();
+    
     const roomRefs = getRoomRefs(roomKey);
+    const selfPath = `${roomRefs.peers}/${localPeerId}`;
     
-    // Clean up any existing listeners
-    this.cleanup();
+    // Best effort: a backend without metadata only loses cleanup hints (and
+    // the approval setting, so everyone simply joins)
+    const occupied = Boolean(await getSignaling().get(roomRefs.peers).catch(() => null));
+    const meta = await touchRoom(roomRefs, occupied ? undefined : Admission.isRequired()).catch(() => null);
+    activityTimer = setInterval(() => touchRoom(roomRefs).catch(() => {}), roomConfig.activityInterval);
     
-    // Read current state
-    const [offerSnapshot, answerSnapshot] = await Promise.all([
-      new Promise(resolve => onValue(roomRefs.offer, resolve, { onlyOnce: true })),
-      new Promise(resolve => onValue(roomRefs.answer, resolve, { onlyOnce: true }))
+    if (meta && meta.approval) {
+      const joined = await this.admit(roomKey, occupied);
+      if (!joined) return;
+    }
+    
+    // Announce ourselves; the backend removes the entry and our inbox if we vanish.
+    // The e2ee flag lets each pair agree on whether to encrypt media
+    await getSignaling().set(selfPath, { joinedAt: Date.now(), e2ee: MediaEncryption.isActive() });
+    disconnectHandles = await Promise.all([
+      getSignaling().removeOnDisconnect(selfPath),
+      getSignaling().removeOnDisconnect(`${roomRefs.signals}/${localPeerId}`)
     ]);
     
-    const offer = offerSnapshot.val();
-    const answer = answerSnapshot.val();
-    
-    if (offer == null && answer == null) {
-      // SCENARIO 1: Fresh start
-      await this.scenario1_FreshStart(roomRefs);
-    } else if (offer != null && answer == null) {
-      // SCENARIO 2: Second peer joins
-      await this.scenario2_SecondPeerJoins(roomRefs, offer);
-    } else if (offer != null && answer != null) {
-      // SCENARIO 3: Invalid/stale state
-      await this.scenario3_CleanupAndRestart(roomRefs);
-    }
+    peersListener = getSignaling().watch(roomRefs.peers, (peers) => {
+      this.handlePeersChanged(peers || {});
+    }, () => {
+      UI.showSnackbar("Couldn't reach the signaling server", 'Retry', () => this.rejoin());
+    });
+    
+    CallStats.start();
+    Speaking.start();
   },
 
-  async scenario1_FreshStart(roomRefs) {
-    // Create offer
-    const offer = await this.createOffer();
-    await set(roomRefs.offer, { sdp: offer.sdp, type: offer.type });
-    
-    // Set up disconnect cleanup
-    disconnectCleanup = onDisconnect(roomRefs.offer);
-    await disconnectCleanup.remove();
-    
-    // Listen for answer
-    answerListener = onValue(roomRefs.answer, async (snapshot) => {
-      const answerData = snapshot.val();
-      if (answerData) {
-        try {
-          await this.connectToPeer(answerData);
-          // On success: remove offer and answer, then listen for reconnects
-          await Promise.all([
-            remove(roomRefs.offer),
-            remove(roomRefs.answer)
-          ]);
-          this.handleReconnect(roomRefs);
-        } catch (error) {
-          UI.showSnackbar('Connection failed', 'Retry', () => this.startConnection(currentRoomKey));
-        }
+  // Reconnects from inside a call. The call screen stays up, so a failure
+  // offers another try; without credentials there is nothing to retry with
+  rejoin(roomKey = currentRoomKey) {
+    return this.startConnection(roomKey).catch(error => {
+      if (error.code === 'missing-credentials') {
+        this.endCall();
+        UI.showSnackbar('Failed to start video call');
+        return;
       }
+      UI.showSnackbar("Couldn't rejoin the call", 'Retry', () => this.rejoin(roomKey));
     });
   },
 
-  async scenario2_SecondPeerJoins(roomRefs, offer) {
-    // Create answer
-    const answer = await this.createAnswer(offer);
-    await set(roomRefs.answer, { sdp: answer.sdp, type: answer.type });
+  // Knocks first when others are already in. Resolves false if we were
+  // turned away or left while waiting
+  async admit(roomKey, occupied) {
+    const session = createAdmission({
+      transport: getSignaling(),
+      cipher: signalingCipher,
+      roomKey,
+      localPeerId
+    });
+    admission = session;
+    // We count ourselves in even before our own entry is read back
+    approvedIds = new Set([localPeerId]);
     
-    try {
-      await this.connectToPeer(offer);
-      // On success: listen for reconnects
-      this.handleReconnect(roomRefs);
-    } catch (error) {
-      UI.showSnackbar('Connection failed', 'Retry', () => this.startConnection(currentRoomKey));
+    if (occupied) {
+      knocking = true;
+      this.updateCallState();
+      let decision;
+      try {
+        decision = await session.knock(Admission.getDisplayName(), admittedRoomKey === roomKey ? admittedPeerId : null);
+      } catch (error) {
+        decision = 'failed';
+      }
+      // endCall() or a fresh startConnection() took over meanwhile
+      if (admission !== session) return false;
+      knocking = false;
+      
+      if (decision !== 'admitted') {
+        this.endCall();
+        if (decision === 'denied') UI.showSnackbar(KNOCK_DENIED_MESSAGE);
+        if (decision === 'failed') UI.showSnackbar("Couldn't ask to join this room");
+        return false;
+      }
     }
+    
+    await session.join();
+    if (admission !== session) return false;
+    if (admittedRoomKey !== roomKey) formerPeerIds = new Set();
+    admittedRoomKey = roomKey;
+    admittedPeerId = localPeerId;
+    
+    const decide = (peerId, admitted) => {
+      session.decide(peerId, admitted).catch(() => {
+        UI.showSnackbar("Couldn't answer the join request");
+      });
+    };
+    
+    session.watchAdmitted((ids, opener) => {
+      approvedIds = ids;
+      outrankedBy = opener;
+      ids.forEach(peerId => formerPeerIds.add(peerId));
+      if (lastPeers) this.handlePeersChanged(lastPeers);
+    });
+    session.watchKnocks(requests => {
+      requests.forEach(({ peerId, name }) => {
+        if (name) knockNames.set(peerId, name);
+      });
+      const rejoining = requests.filter(request => formerPeerIds.has(request.rejoinOf));
+      rejoining.forEach(request => decide(request.peerId, true));
+      Admission.showRequests(requests.filter(request => !rejoining.includes(request)), decide);
+    });
+    return true;
   },
 
-  async scenario3_CleanupAndRestart(roomRefs) {
-    // Remove stale data
-    await Promise.all([
-      remove(roomRefs.offer),
-      remove(roomRefs.answer)
-    ]);
+  handlePeersChanged(peers) {
+    lastPeers = peers;
+    
+    // Someone opened the room just before us and we both let ourselves in.
+    // Theirs stands once they are here, so we knock like anyone arriving later
+    if (outrankedBy && peers[outrankedBy]) {
+      outrankedBy = null;
+      this.rejoin();
+      return;
+    }
+    
+    // Oldest first (ties by id), so everyone agrees on who is in when the
+    // room is full. Whoever is left out leaves again. In approval rooms only
+    // people who were let in count
+    const admittedIds = Object.keys(peers)
+      .filter(id => !approvedIds || approvedIds.has(id))
+      .sort((a, b) => ((peers[a].joinedAt || 0) - (peers[b].joinedAt || 0)) || (a < b ? -1 : 1))
+      .slice(0, MAX_PARTICIPANTS);
+    if (peers[localPeerId] && !admittedIds.includes(localPeerId)) {
+      this.endCall();
+      UI.showSnackbar(ROOM_BUSY_MESSAGE);
+      return;
+    }
+    
+    const remoteIds = admittedIds.filter(id => id !== localPeerId);
     
-    // Restart from scenario 1
-    await this.scenario1_FreshStart(roomRefs);
+    Participants.all().forEach(participant => {
+      if (!remoteIds.includes(participant.peerId)) {
+        this.removeParticipant(participant.peerId);
+        UI.showSnackbar(`${participant.label} left the call`);
+      }
+    });
+    
+    remoteIds.forEach(peerId => {
+      if (!Participants.has(peerId)) this.addParticipant(peerId, peers[peerId]);
+    });
+    
+    this.updateCallState();
   },
 
-  handleReconnect(roomRefs) {
-    // Clean up existing listeners
-    if (offerListener) offerListener();
-    if (answerListener) answerListener();
-    
-    // Listen for new offers (reconnection attempts)
-    offerListener = onValue(roomRefs.offer, async (snapshot) => {
-      const offerData = snapshot.val();
-      if (offerData) {
-        try {
-          // Create answer for the new offer
-          const answer = await this.createAnswer(offerData);
-          await set(roomRefs.answer, { sdp: answer.sdp, type: answer.type });
+  // Each remote participant gets its own connection, tile and monitor
+  addParticipant(peerId, peerInfo = {}) {
+    participantCounter++;
+    
+    // Frames are only encrypted when both ends can decrypt them
+    const encrypted = MediaEncryption.isActive() && Boolean(peerInfo.e2ee);
+    const participant = Participants.add(peerId, {
+      label: knockNames.get(peerId) || `Participant ${participantCounter}`,
+      encrypted
+    });
+    
+    VideoGrid.addTile(peerId, participant.label);
+    
+    participant.monitor = createConnectionMonitor({
+      restartIce: async () => {
+        const configuration = getSessionConfiguration(await this.refreshConfiguration(), encrypted);
+        if (Participants.get(peerId) === participant) participant.session.restartIce(configuration);
+      },
+      rejoin: () => this.rejoin(),
+      onStateChange: (state) => {
+        participant.connectionState = state;
+        VideoGrid.setTileState(peerId, state);
+        this.updateCallState();
+      }
+    });
+    
+    participant.session = createPeerSession({
+      transport: getSignaling(),
+      cipher: signalingCipher,
+      roomKey: currentRoomKey,
+      localPeerId,
+      remotePeerId: peerId,
+      maxMessageAge: roomConfig.signalTtl,
+      configuration: getSessionConfiguration(rtcConfiguration, encrypted),
+      mediaTransform: encrypted ? MediaEncryption : null,
+      handlers: {
+        onTrack: (stream) => {
+          ScreenShare.handleRemoteStream(participant, stream);
+        },
+        onConnectionStateChange: (state) => {
+          participant.monitor.handlePeerState(state);
           
-          await this.connectToPeer(offerData);
+          // Anything toggled while the connection was down is caught up on
+          if (state === 'connected') {
+            MediaState.send(peerId);
+          }
           
-          // On success: remove offer and answer, then listen again
-          await Promise.all([
-            remove(roomRefs.offer),
-            remove(roomRefs.answer)
-          ]);
+          if (state === 'connected' && encrypted) {
+            this.updateVerificationCode(participant);
+          }
           
-          // Recursive reconnect handling
-          this.handleReconnect(roomRefs);
-        } catch (error) {
-          UI.showSnackbar('Reconnection failed', 'Retry', () => this.startConnection(currentRoomKey));
+          if (state === 'failed' && IceServers.isRelayOnly()) {
+            UI.showSnackbar('No relay server reachable in relay-only mode');
+          }
+        },
+        onError: (error) => {
+          if (error.code === 'signaling-integrity') {
+            UI.showSnackbar(`Rejected a tampered or undecryptable message from ${participant.label}`);
+            return;
+          }
+          UI.showSnackbar('Connection failed', 'Retry', () => this.rejoin());
         }
       }
     });
+    
+    Chat.attach(participant);
+    FileTransfer.attach(participant);
+    ControlChannel.attach(participant);
+    
+    participant.monitor.start();
+    participant.session.start(StateManager.getLocalStream());
+    ScreenShare.attach(participant.session);
+    return participant;
   },
 
-  async createOffer() {
-    const offer = await peerConnection.createOffer();
-    await peerConnection.setLocalDescription(offer);
+  // Recomputed on every connect: an ICE restart keeps the DTLS fingerprints,
+  // but a rejoin does not
+  async updateVerificationCode(participant) {
+    const code = await MediaEncryption.getVerificationCode(participant.session.connection);
+    if (!code || !Participants.has(participant.peerId)) return;
     
-    // Wait for ICE gathering to complete
-    if (peerConnection.iceGatheringState !== 'complete') {
-      await new Promise(resolve => {
-        peerConnection.addEventListener('icegatheringstatechange', () => {
-          if (peerConnection.iceGatheringState === 'complete') {
-            resolve();
-          }
-        });
-      });
-    }
+    participant.verificationCode = code;
+    VideoGrid.setTileVerification(participant.peerId, code);
+  },
+
+  removeParticipant(peerId) {
+    const participant = Participants.remove(peerId);
+    if (!participant) return;
     
-    return peerConnection.localDescription;
+    participant.monitor.stop();
+    participant.session.close();
+    Chat.detach(peerId);
+    FileTransfer.detach(peerId);
+    ControlChannel.detach(peerId);
+    Recorder.detach(peerId);
+    Bandwidth.detach(peerId);
+    FullscreenManager.handleTileRemoved(peerId);
+    VideoGrid.removeTile(peerId);
   },
 
-  async createAnswer(offer) {
-    await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
-    const answer = await peerConnection.createAnswer();
-    await peerConnection.setLocalDescription(answer);
-    
-    // Wait for ICE gathering to complete
-    if (peerConnection.iceGatheringState !== 'complete') {
-      await new Promise(resolve => {
-        peerConnection.addEventListener('icegatheringstatechange', () => {
-          if (peerConnection.iceGatheringState === 'complete') {
-            resolve();
-          }
-        });
-      });
+  // The control bar reflects the call as a whole, tiles show each participant
+  updateCallState() {
+    const states = Participants.all().map(participant => participant.connectionState);
+    let state = 'connecting';
+    
+    if (states.includes('reconnecting')) {
+      state = 'reconnecting';
+    } else if (states.includes('disconnected')) {
+      state = 'disconnected';
+    } else if (states.includes('connected')) {
+      state = 'connected';
+    } else if (states.length > 0 && states.every(s => s === 'failed')) {
+      state = 'failed';
     }
     
-    return peerConnection.localDescription;
+    StateManager.setConnectionState(state);
+    UI.updateConnectionDot();
+    VideoGrid.setWaiting(knocking ? 'knocking' : currentRoomKey !== null && states.length === 0 && 'alone');
+    
+    const participants = Participants.all();
+    UI.updateEncryptionIndicator(
+      participants.length > 0 && participants.every(participant => participant.encrypted)
+    );
   },
 
-  async connectToPeer(sessionDescription) {
-    await peerConnection.setRemoteDescription(new RTCSessionDescription(sessionDescription));
-    
-    // Wait for connection to be established
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Connection timeout'));
-      }, 10000);
-      
-      const checkConnection = () => {
-        if (peerConnection.connectionState === 'connected') {
-          clearTimeout(timeout);
-          resolve();
-        } else if (peerConnection.connectionState === 'failed') {
-          clearTimeout(timeout);
-          reject(new Error('Connection failed'));
-        }
-      };
-      
-      peerConnection.addEventListener('connectionstatechange', checkConnection);
-      checkConnection(); // Check immediately in case already connected
+  // Either side may restart; perfect negotiation settles a simultaneous restart
+  async restartIce() {
+    const configuration = await this.refreshConfiguration();
+    Participants.forEachSession((session, participant) => {
+      session.restartIce(getSessionConfiguration(configuration, participant.encrypted));
     });
   },
 
+  // Cached TURN credentials are reused until shortly before their TTL, so this
+  // only goes to the network when they are about to expire
+  async refreshConfiguration() {
+    try {
+      rtcConfiguration = await IceServers.getConfiguration();
+    } catch (error) {
+      // Relay-only without TURN was already reported when media started
+    }
+    return rtcConfiguration;
+  },
+
+  // Mid-call track changes renegotiate automatically
+  addLocalTrack(track, stream) {
+    Participants.forEachSession(session => session.addTrack(track, stream));
+  },
+
+  removeLocalTrack(track) {
+    Participants.forEachSession(session => session.removeTrack(track));
+  },
+
+  // Camera track changes go through here so a shared screen is never swapped out
   async updateVideoTrack(newVideoTrack) {
-    const sender = peerConnection.getSenders().find(s => s.track && s.track.kind === 'video');
-    if (sender) {
-      await sender.replaceTrack(newVideoTrack);
+    // The new camera track is sent once sharing stops
+    if (ScreenShare.isReplacingCamera()) return;
+    
+    const localStream = StateManager.getLocalStream();
+    const currentTrack = localStream ? localStream.getVideoTracks()[0] || null : null;
+    await this.replaceSentTrack('video', newVideoTrack, currentTrack);
+  },
+
+  async updateAudioTrack(newAudioTrack) {
+    const localStream = StateManager.getLocalStream();
+    const currentTrack = localStream ? localStream.getAudioTracks()[0] || null : null;
+    await this.replaceSentTrack('audio', newAudioTrack, currentTrack);
+  },
+
+  // One closing or broken session mustn't keep the new track from the others
+  async replaceSentTrack(kind, track, currentTrack) {
+    const replacements = [];
+    Participants.forEachSession(session => {
+      replacements.push(session.replaceTrack(kind, track, currentTrack));
+    });
+    await Promise.allSettled(replacements);
+  },
+
+  // Background effects for the camera, the audio chain for the microphone
+  processLocalTrack(track) {
+    return track.kind === 'video' ? VideoEffects.process(track) : AudioProcessing.process(track);
+  },
+  
+  // Stops a local track and the device behind it, unless that device carries
+  // on behind `nextTrack`
+  stopLocalTrack(track, nextTrack = null) {
+    if (track.kind === 'video') {
+      VideoEffects.stop(track, nextTrack);
+    } else {
+      AudioProcessing.stop(track, nextTrack);
+    }
+  },
+  
+  // Puts a new camera or microphone track in place of the current one: on
+  // the wire, in the local stream and in the preview. Mute, camera-off and
+  // background effects or audio processing carry over to the new track
+  async replaceLocalTrack(track) {
+    const localStream = StateManager.getLocalStream();
+    if (!localStream) {
+      track.stop();
+      return;
+    }
+    
+    const isVideo = track.kind === 'video';
+    const newTrack = this.processLocalTrack(track);
+    newTrack.enabled = isVideo ? StateManager.isCamEnabled() : StateManager.isMicEnabled();
+    const currentTrack = localStream.getTracks().find(t => t.kind === newTrack.kind);
+    
+    try {
+      if (isVideo) {
+        await this.updateVideoTrack(newTrack);
+      } else {
+        await this.updateAudioTrack(newTrack);
+      }
+    } catch (error) {
+      // The current track stays on; a device behind both keeps running
+      this.stopLocalTrack(newTrack, currentTrack || null);
+      throw error;
+    }
+    
+    if (currentTrack) {
+      this.stopLocalTrack(currentTrack, newTrack);
+      localStream.removeTrack(currentTrack);
+    }
+    localStream.addTrack(newTrack);
+    
+    if (isVideo) {
+      DOM.localVideo.srcObject = localStream;
+      VideoMode.apply(DOM.localVideo);
     }
   },
 
   cleanup() {
     // Clean up listeners
-    if (offerListener) {
-      offerListener();
-      offerListener = null;
+    if (peersListener) {
+      peersListener();
+      peersListener = null;
     }
-    if (answerListener) {
-      answerListener();
-      answerListener = null;
+    disconnectHandles.forEach(handle => handle.cancel());
+    disconnectHandles = [];
+    clearInterval(activityTimer);
+    activityTimer = null;
+    
+    if (admission) {
+      admission.leave();
+      admission = null;
     }
-    if (disconnectCleanup) {
-      disconnectCleanup.cancel();
-      disconnectCleanup = null;
+    approvedIds = null;
+    lastPeers = null;
+    knocking = false;
+    knockNames = new Map();
+    outrankedBy = null;
+    Admission.reset();
+    
+    Participants.all().forEach(participant => this.removeParticipant(participant.peerId));
+    
+    // Leave the room explicitly rather than waiting for the disconnect handlers.
+    // The last one out removes the room's metadata, and with it the room
+    if (currentRoomKey && localPeerId) {
+      const transport = getSignaling();
+      const roomRefs = getRoomRefs(currentRoomKey);
+      transport.remove(`${roomRefs.signals}/${localPeerId}`).catch(() => {});
+      leaving = transport.remove(`${roomRefs.peers}/${localPeerId}`)
+        .then(() => transport.get(roomRefs.peers))
+        .then(peers => {
+          if (!peers) return transport.remove(roomRefs.meta);
+        })
+        .catch(() => {});
     }
+    localPeerId = null;
+    return leaving;
   },
 
   endCall() {
+    // Stopped first so everyone hears that the recording ended
+    Recorder.reset();
     this.cleanup();
+    Chat.reset();
+    FileTransfer.reset();
+    ControlChannel.reset();
+    ScreenShare.reset();
+    CallStats.reset();
+    Bandwidth.reset();
+    Speaking.reset();
+    PictureInPicture.reset();
+    admittedRoomKey = null;
+    admittedPeerId = null;
+    formerPeerIds = new Set();
+    StateManager.setConnectionState('idle');
+    UI.updateConnectionDot();
+    VideoGrid.setWaiting(false);
     
-    if (currentRoomKey) {
-      const roomRefs = getRoomRefs(currentRoomKey);
-      remove(roomRefs.offer);
-      remove(roomRefs.answer);
-    }
-    
-    peerConnection.close();
     const localStream = StateManager.getLocalStream();
     if (localStream) {
-      localStream.getTracks().forEach(track => track.stop());
+      localStream.getTracks().forEach(track => this.stopLocalTrack(track));
     }
     
     // Clear the room key from URL and return to welcome screen
@@ -323,31 +691,11 @@ export const WebRTC = {
     
     // Reset global state
     currentRoomKey = null;
+    signalingCipher = null;
+    MediaEncryption.reset();
   }
 };
 
-// =============================================================================
-// WEBRTC EVENT HANDLERS
-// =============================================================================
-peerConnection.ontrack = (event) => {
-  DOM.remoteVideo.srcObject = event.streams[0];
-  VideoMode.apply(DOM.remoteVideo);
-};
-
-peerConnection.onconnectionstatechange = () => {
-  const state = peerConnection.connectionState;
-  StateManager.setConnected(state === 'connected');
-  UI.updateConnectionDot();
-};
-
-peerConnection.onicecandidate = (event) => {
-  // ICE candidates are automatically included in the SDP after gathering completes
-};
-
-peerConnection.onicegatheringstatechange = () => {
-  // Handle ICE gathering state changes if needed
-};
-
 // Make functions available globally for module communication
 window.updateVideoTrack = WebRTC.updateVideoTrack.bind(WebRTC);
-window.endCall = WebRTC.endCall.bind(WebRTC); 
\ No newline at end of file
+window.endCall = WebRTC.endCall.bind(WebRTC);
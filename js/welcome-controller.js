@@ -3,8 +3,16 @@
 // Handles welcome screen logic, URL parameters, and room management
 // =============================================================================
 
-import { generateRoomKey, generateShareableLink, WebRTC } from './webrtc.js';
+import { generateRoomKey, generateShareableLink, WebRTC, ROOM_BUSY_MESSAGE } from './webrtc.js';
 import { UI } from './ui-controls.js';
+import { IceServers } from './ice-servers.js';
+import { RoomCrypto } from './room-crypto.js';
+import { MediaEncryption } from './media-encryption.js';
+import { Lobby } from './lobby.js';
+import { Admission } from './admission.js';
+
+// Deriving a room id is deliberately slow, so wait for typing to pause
+const LINK_UPDATE_DELAY = 300;
 
 // =============================================================================
 // LOCALSTORAGE MANAGER
@@ -21,8 +29,11 @@ const SavedRoomsManager = {
     }
   },
   
-  saveRoom(sharedSecret, sharedMemory) {
-    const roomKey = generateRoomKey(sharedSecret, sharedMemory);
+  // Only the derived room id and key material are kept: the secret and memory
+  // may well be reused elsewhere, and the material is all a rejoin needs
+  async saveRoom(sharedSecret, sharedMemory) {
+    const roomMaterial = await RoomCrypto.deriveRoomMaterial(sharedSecret, sharedMemory);
+    const roomKey = await RoomCrypto.deriveRoomId(roomMaterial);
     const rooms = this.getSavedRooms();
     
     // Check if room already exists
@@ -34,14 +45,26 @@ const SavedRoomsManager = {
       // Add new room
       rooms.push({
         id: Date.now().toString(),
-        name: `${sharedSecret} - ${sharedMemory}`,
-        sharedSecret,
-        sharedMemory,
+        name: `Room ${roomKey.slice(0, 8)}`,
         roomKey,
+        roomMaterial,
         lastUsed: Date.now()
       });
     }
     
+    return this.storeRooms(rooms);
+  },
+  
+  touchRoom(roomId) {
+    const rooms = this.getSavedRooms();
+    const room = rooms.find(saved => saved.id === roomId);
+    if (!room) return false;
+    
+    room.lastUsed = Date.now();
+    return this.storeRooms(rooms);
+  },
+  
+  storeRooms(rooms) {
     // Sort by last used (most recent first)
     rooms.sort((a, b) => b.lastUsed - a.lastUsed);
     
@@ -56,6 +79,36 @@ const SavedRoomsManager = {
     }
   },
   
+  // Older versions stored the secret and memory in plaintext (and before that
+  // used them as the room key); replace them with the derived values
+  async migrateRooms() {
+    const rooms = this.getSavedRooms();
+    const legacyRooms = rooms.filter(room => room.sharedSecret !== undefined || room.sharedMemory !== undefined);
+    if (legacyRooms.length === 0) return;
+    
+    await Promise.all(legacyRooms.map(async (room) => {
+      room.roomMaterial = await RoomCrypto.deriveRoomMaterial(room.sharedSecret || '', room.sharedMemory || '');
+      room.roomKey = await RoomCrypto.deriveRoomId(room.roomMaterial);
+      room.name = `Room ${room.roomKey.slice(0, 8)}`;
+      delete room.sharedSecret;
+      delete room.sharedMemory;
+    }));
+    
+    // Retried on the next visit if this fails
+    this.storeRooms(rooms);
+  },
+  
+  // Rooms without key material can't be joined; they are skipped
+  getJoinableRooms() {
+    return this.getSavedRooms().filter(room =>
+      RoomCrypto.isDerivedRoomId(room.roomKey) && RoomCrypto.isRoomMaterial(room.roomMaterial)
+    );
+  },
+  
+  findByRoomKey(roomKey) {
+    return this.getJoinableRooms().find(room => room.roomKey === roomKey) || null;
+  },
+  
   deleteRoom(roomId) {
     const rooms = this.getSavedRooms();
     const filteredRooms = rooms.filter(room => room.id !== roomId);
@@ -73,21 +126,45 @@ const SavedRoomsManager = {
 // WELCOME SCREEN CONTROLLER
 // =============================================================================
 export const WelcomeController = {
-  init() {
+  linkUpdateTimer: null,
+  linkRequestId: 0,
+  // Room from a shared link whose credentials this device doesn't know yet
+  expectedRoomKey: null,
+
+  async init() {
+    // Bound once; the form is shown again whenever a call ends or fails
+    this.setupEventListeners();
+    await SavedRoomsManager.migrateRooms().catch(() => {});
+    
     // Check for URL parameters first
     const urlParams = new URLSearchParams(window.location.search);
     const roomParam = urlParams.get('room');
     
     if (roomParam) {
-      // Skip welcome screen and go directly to video call
-      this.skipToVideoCall(decodeURIComponent(roomParam));
-      return;
+      const roomKey = await this.resolveRoomParam(decodeURIComponent(roomParam));
+      const savedRoom = roomKey && SavedRoomsManager.findByRoomKey(roomKey);
+      
+      if (savedRoom) {
+        // Skip welcome screen and go directly to video call
+        this.skipToVideoCall(roomKey, savedRoom);
+        return;
+      }
+      
+      // Links carry only the room id; the signaling key needs the credentials
+      if (roomKey) {
+        this.expectedRoomKey = roomKey;
+        UI.showSnackbar('Enter the shared secret and memory for this room to join');
+      } else {
+        UI.showSnackbar('This link uses an old format. Enter the shared secret and memory to join.');
+      }
     }
     
-    // Show welcome screen and set up event listeners
-    this.showWelcomeScreen();
-    this.setupEventListeners();
-    this.loadSavedRooms();
+    this.showWelcomeForm();
+  },
+
+  // Old "secret-memory" links can't be matched without keeping the credentials
+  async resolveRoomParam(roomParam) {
+    return RoomCrypto.isDerivedRoomId(roomParam) ? roomParam : null;
   },
 
   showWelcomeScreen() {
@@ -118,6 +195,9 @@ export const WelcomeController = {
     const sharedMemoryInput = document.getElementById('sharedMemory');
     const copyLinkBtn = document.getElementById('copyLinkBtn');
     const saveRoomBtn = document.getElementById('saveRoomBtn');
+    const relayOnlyToggle = document.getElementById('relayOnlyToggle');
+    const e2eeToggle = document.getElementById('e2eeToggle');
+    const approvalToggle = document.getElementById('approvalToggle');
     
     if (welcomeForm) {
       welcomeForm.addEventListener('submit', (e) => {
@@ -128,19 +208,23 @@ export const WelcomeController = {
     
     // Real-time link generation
     if (sharedSecretInput && sharedMemoryInput) {
-      const updateLink = () => {
+      const updateLink = async () => {
         const secret = sharedSecretInput.value.trim();
         const memory = sharedMemoryInput.value.trim();
+        // Ignore derivations that finish after the inputs changed again
+        const requestId = ++this.linkRequestId;
         
         if (secret && memory) {
-          const roomKey = generateRoomKey(secret, memory);
-          const shareableLink = generateShareableLink(roomKey);
-          this.showShareableLink(shareableLink);
-          
           // Enable save button
           if (saveRoomBtn) {
             saveRoomBtn.disabled = false;
           }
+          
+          const roomKey = await generateRoomKey(secret, memory);
+          if (requestId !== this.linkRequestId) return;
+          
+          const shareableLink = generateShareableLink(roomKey);
+          this.showShareableLink(shareableLink);
         } else {
           this.hideShareableLink();
           
@@ -151,8 +235,13 @@ export const WelcomeController = {
         }
       };
       
-      sharedSecretInput.addEventListener('input', updateLink);
-      sharedMemoryInput.addEventListener('input', updateLink);
+      const scheduleLinkUpdate = () => {
+        clearTimeout(this.linkUpdateTimer);
+        this.linkUpdateTimer = setTimeout(updateLink, LINK_UPDATE_DELAY);
+      };
+      
+      sharedSecretInput.addEventListener('input', scheduleLinkUpdate);
+      sharedMemoryInput.addEventListener('input', scheduleLinkUpdate);
     }
     
     if (copyLinkBtn) {
@@ -167,6 +256,33 @@ export const WelcomeController = {
         this.saveCurrentRoom();
       });
     }
+    
+    if (relayOnlyToggle) {
+      relayOnlyToggle.checked = IceServers.isRelayOnly();
+      relayOnlyToggle.addEventListener('change', () => {
+        IceServers.setRelayOnly(relayOnlyToggle.checked);
+      });
+    }
+    
+    if (e2eeToggle) {
+      if (MediaEncryption.isSupported()) {
+        e2eeToggle.checked = MediaEncryption.isEnabled();
+        e2eeToggle.addEventListener('change', () => {
+          MediaEncryption.setEnabled(e2eeToggle.checked);
+        });
+      } else {
+        e2eeToggle.disabled = true;
+        e2eeToggle.closest('.privacy-toggle').title = 'This browser cannot encrypt media end to end';
+      }
+    }
+    
+    if (approvalToggle) {
+      approvalToggle.checked = Admission.isRequired();
+      approvalToggle.closest('.privacy-toggle').title = 'Applies when you are the first one in the room';
+      approvalToggle.addEventListener('change', () => {
+        Admission.setRequired(approvalToggle.checked);
+      });
+    }
   },
 
   async handleFormSubmit() {
@@ -186,59 +302,119 @@ export const WelcomeController = {
       return;
     }
     
-    try {
-      // Disable button and show loading state
+    const setLoading = (loading) => {
       if (enterRoomBtn) {
-        enterRoomBtn.disabled = true;
-        enterRoomBtn.classList.add('loading');
+        enterRoomBtn.disabled = loading;
+        enterRoomBtn.classList.toggle('loading', loading);
       }
+    };
+    
+    try {
+      setLoading(true);
       
-      const roomKey = generateRoomKey(sharedSecret, sharedMemory);
-      
-      // Initialize media first
-      await WebRTC.initializeMedia();
-      
-      // Update URL with room key
-      const newUrl = generateShareableLink(roomKey);
-      window.history.pushState({ roomKey }, '', newUrl);
+      const roomMaterial = await RoomCrypto.deriveRoomMaterial(sharedSecret, sharedMemory);
+      const roomKey = await RoomCrypto.deriveRoomId(roomMaterial);
       
-      // Hide welcome screen and show video app
-      this.hideWelcomeScreen();
+      if (this.expectedRoomKey && roomKey !== this.expectedRoomKey) {
+        const error = new Error('Credentials do not match the shared link');
+        error.code = 'room-mismatch';
+        throw error;
+      }
       
-      // Start WebRTC connection
-      await WebRTC.startConnection(roomKey);
+      const joined = await this.enterRoom(roomKey, roomMaterial);
+      if (!joined) setLoading(false);
       
     } catch (error) {
-      // Re-enable button and remove loading state
-      if (enterRoomBtn) {
-        enterRoomBtn.disabled = false;
-        enterRoomBtn.classList.remove('loading');
-      }
-      
-      UI.showSnackbar('Failed to start video call', 'Retry', () => this.handleFormSubmit());
+      setLoading(false);
+      this.showJoinError(error, () => this.handleFormSubmit());
+    }
+  },
+
+  // Shared by the form and saved rooms. Resolves false if the lobby was left
+  async enterRoom(roomKey, roomMaterial) {
+    if (await WebRTC.isRoomFull(roomKey)) {
+      const error = new Error('Room is full');
+      error.code = 'room-busy';
+      throw error;
+    }
+    
+    await WebRTC.setRoomMaterial(roomMaterial);
+    
+    // Initialize media first
+    await WebRTC.initializeMedia();
+    
+    // Check camera and mic before anyone sees or hears us
+    const joined = await Lobby.open();
+    if (!joined) return false;
+    
+    // Update URL with room key
+    const newUrl = generateShareableLink(roomKey);
+    window.history.pushState({ roomKey }, '', newUrl);
+    
+    // Hide welcome screen and show video app
+    this.hideWelcomeScreen();
+    
+    // Start WebRTC connection
+    await WebRTC.startConnection(roomKey);
+    this.expectedRoomKey = null;
+    return true;
+  },
+
+  showJoinError(error, retry) {
+    if (error.code === 'room-mismatch') {
+      UI.showSnackbar("Those credentials don't match the room in your link");
+    } else if (error.code === 'room-busy') {
+      UI.showSnackbar(ROOM_BUSY_MESSAGE);
+    } else {
+      UI.showSnackbar('Failed to start video call', 'Retry', retry);
     }
   },
 
-  async skipToVideoCall(roomKey) {
+  async skipToVideoCall(roomKey, savedRoom) {
     try {
+      await WebRTC.setRoomMaterial(savedRoom.roomMaterial);
+      
       // Update URL to ensure it contains the room key
       const newUrl = generateShareableLink(roomKey);
       window.history.replaceState({ roomKey }, '', newUrl);
       
-      // Hide welcome screen immediately
-      this.hideWelcomeScreen();
+      // Keep the form out of sight unless the lobby is left
+      const welcomeScreen = document.getElementById('welcomeScreen');
+      if (welcomeScreen) welcomeScreen.style.display = 'none';
       
-      // Initialize media and start connection
+      if (await WebRTC.isRoomFull(roomKey)) {
+        const error = new Error('Room is full');
+        error.code = 'room-busy';
+        throw error;
+      }
+      
+      // Initialize media, then let the lobby decide
       await WebRTC.initializeMedia();
+      const joined = await Lobby.open();
+      if (!joined) {
+        this.showWelcomeForm();
+        return;
+      }
+      
+      this.hideWelcomeScreen();
       await WebRTC.startConnection(roomKey);
       
     } catch (error) {
       // If direct connection fails, show welcome screen
-      this.showWelcomeScreen();
-      UI.showSnackbar('Failed to join room. Please try entering credentials manually.');
+      this.showWelcomeForm();
+      if (error.code === 'room-busy') {
+        UI.showSnackbar(ROOM_BUSY_MESSAGE);
+      } else {
+        UI.showSnackbar('Failed to join room. Please try entering credentials manually.');
+      }
     }
   },
 
+  showWelcomeForm() {
+    this.showWelcomeScreen();
+    this.loadSavedRooms();
+  },
+
   showShareableLink(link) {
     const linkSection = document.getElementById('linkSection');
     const shareableLink = document.getElementById('shareableLink');
@@ -293,7 +469,7 @@ export const WelcomeController = {
     }
   },
 
-  saveCurrentRoom() {
+  async saveCurrentRoom() {
     const sharedSecret = document.getElementById('sharedSecret').value.trim();
     const sharedMemory = document.getElementById('sharedMemory').value.trim();
     
@@ -302,7 +478,7 @@ export const WelcomeController = {
       return;
     }
     
-    const success = SavedRoomsManager.saveRoom(sharedSecret, sharedMemory);
+    const success = await SavedRoomsManager.saveRoom(sharedSecret, sharedMemory);
     if (success) {
       UI.showSnackbar('Room saved successfully!');
       this.loadSavedRooms();
@@ -312,7 +488,7 @@ export const WelcomeController = {
   },
 
   loadSavedRooms() {
-    const savedRooms = SavedRoomsManager.getSavedRooms();
+    const savedRooms = SavedRoomsManager.getJoinableRooms();
     const savedRoomsSection = document.getElementById('savedRoomsSection');
     const savedRoomsList = document.getElementById('savedRoomsList');
     
@@ -339,7 +515,7 @@ export const WelcomeController = {
     item.innerHTML = `
       <div class="saved-room-info">
         <div class="saved-room-name">${room.name}</div>
-        <div class="saved-room-key">${room.roomKey}</div>
+        <div class="saved-room-key">Last used ${new Date(room.lastUsed).toLocaleDateString()}</div>
       </div>
       <div class="saved-room-actions">
         <button class="saved-room-btn saved-room-btn--delete" data-room-id="${room.id}" title="Delete room">
@@ -365,28 +541,14 @@ export const WelcomeController = {
   },
 
   async joinSavedRoom(room) {
+    // Picking a saved room is an explicit choice over any room in the link
+    this.expectedRoomKey = null;
+    SavedRoomsManager.touchRoom(room.id);
+    
     try {
-      // Fill in the form fields
-      const sharedSecretInput = document.getElementById('sharedSecret');
-      const sharedMemoryInput = document.getElementById('sharedMemory');
-      
-      if (sharedSecretInput && sharedMemoryInput) {
-        sharedSecretInput.value = room.sharedSecret;
-        sharedMemoryInput.value = room.sharedMemory;
-        
-        // Trigger input events to update link
-        sharedSecretInput.dispatchEvent(new Event('input'));
-        sharedMemoryInput.dispatchEvent(new Event('input'));
-      }
-      
-      // Update the room's last used timestamp
-      SavedRoomsManager.saveRoom(room.sharedSecret, room.sharedMemory);
-      
-      // Join the room
-      await this.handleFormSubmit();
-      
+      await this.enterRoom(room.roomKey, room.roomMaterial);
     } catch (error) {
-      UI.showSnackbar('Failed to join saved room');
+      this.showJoinError(error, () => this.joinSavedRoom(room));
     }
   },
 
@@ -0,0 +1,13 @@
+// Room lifetimes, shared by the app and tools/rooms.mjs. Durations are in ms.
+// A crashed tab can leave its room behind, so every room keeps
+// rooms/{roomKey}/meta = { createdAt, lastActivity } for the cleanup tool
+export const roomConfig = {
+  // Offers older than this are ignored, e.g. ones left behind by a closed tab
+  signalTtl: 5 * 60 * 1000,
+
+  // A room with no activity for this long counts as abandoned and may be purged
+  roomTtl: 24 * 60 * 60 * 1000,
+
+  // How often a client in a call refreshes lastActivity; keep well below roomTtl
+  activityInterval: 5 * 60 * 1000
+};
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import vm from 'node:vm';
+import { readSource } from '../tools/load-module.mjs';
+
+// file-worker.js is a classic worker script, so it runs in a context of its
+// own where its top-level functions become globals
+const source = await readSource('js/file-worker.js');
+
+// nextMessage() resolves with the next message the worker posts
+function loadWorker() {
+  const posted = [];
+  const waiting = [];
+  const context = vm.createContext({
+    Blob,
+    Uint8Array,
+    navigator: {},
+    self: {
+      postMessage: message => (waiting.length > 0 ? waiting.shift()(message) : posted.push(message))
+    }
+  });
+  vm.runInContext(source, context);
+  const nextMessage = () => (posted.length > 0
+    ? Promise.resolve(posted.shift())
+    : new Promise(resolve => waiting.push(resolve)));
+  return { context, nextMessage };
+}
+
+function sha256(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+function bytesOf(length) {
+  return Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 0xff);
+}
+
+test('hashes match SHA-256 around block and padding boundaries', () => {
+  const { context } = loadWorker();
+  [0, 1, 55, 56, 63, 64, 65, 119, 120, 1000].forEach(length => {
+    const hash = context.createSha256();
+    hash.update(bytesOf(length));
+    assert.equal(hash.digest(), sha256(bytesOf(length)), `${length} bytes`);
+  });
+});
+
+test('hashing in uneven chunks gives the same digest as one update', () => {
+  const { context } = loadWorker();
+  const bytes = bytesOf(5000);
+  const hash = context.createSha256();
+  for (let offset = 0, size = 1; offset < bytes.length; offset += size, size = size * 3 % 97 + 1) {
+    hash.update(bytes.subarray(offset, offset + size));
+  }
+  assert.equal(hash.digest(), sha256(bytes));
+});
+
+test('received chunks are hashed and assembled in order', async () => {
+  const { context, nextMessage } = loadWorker();
+  const bytes = bytesOf(3000);
+  const send = data => context.self.onmessage({ data });
+  const message = nextMessage();
+
+  send({ type: 'receive-start', jobId: 'job' });
+  for (let offset = 0; offset < bytes.length; offset += 1024) {
+    send({ type: 'receive-chunk', jobId: 'job', chunk: bytes.slice(offset, offset + 1024).buffer });
+  }
+  send({ type: 'receive-end', jobId: 'job', mimeType: 'application/octet-stream' });
+
+  const received = await message;
+  assert.equal(received.type, 'received');
+  assert.equal(received.hash, sha256(bytes));
+  assert.deepEqual(new Uint8Array(await received.file.arrayBuffer()), bytes);
+});
+
+test('a file sent for hashing reports its digest', async () => {
+  const { context, nextMessage } = loadWorker();
+  const bytes = bytesOf(2048);
+  const message = nextMessage();
+
+  context.self.onmessage({ data: { type: 'hash', jobId: 'job', file: new Blob([bytes]) } });
+
+  const hashed = await message;
+  assert.equal(hashed.type, 'hashed');
+  assert.equal(hashed.hash, sha256(bytes));
+});
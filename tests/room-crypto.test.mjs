@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModule } from '../tools/load-module.mjs';
+
+const { RoomCrypto } = await loadModule('js/room-crypto.js');
+
+test('room material is deterministic and ignores surrounding whitespace', async () => {
+  const material = await RoomCrypto.deriveRoomMaterial('correct horse', 'battery staple');
+  assert.ok(RoomCrypto.isRoomMaterial(material));
+  assert.equal(await RoomCrypto.deriveRoomMaterial(' correct horse ', 'battery staple\n'), material);
+});
+
+test('secret and memory are kept apart when combined', async () => {
+  const [joined, split] = await Promise.all([
+    RoomCrypto.deriveRoomMaterial('ab', 'c'),
+    RoomCrypto.deriveRoomMaterial('a', 'bc')
+  ]);
+  assert.notEqual(joined, split);
+});
+
+test('room ids are stable 128-bit hex and differ between rooms', async () => {
+  const material = await RoomCrypto.deriveRoomMaterial('correct horse', 'battery staple');
+  const other = await RoomCrypto.deriveRoomMaterial('correct horse', 'battery stapler');
+  const roomId = await RoomCrypto.deriveRoomId(material);
+
+  assert.ok(RoomCrypto.isDerivedRoomId(roomId));
+  assert.equal(await RoomCrypto.deriveRoomId(material), roomId);
+  assert.notEqual(await RoomCrypto.deriveRoomId(other), roomId);
+  assert.ok(!RoomCrypto.isDerivedRoomId('secret-memory'));
+});
+
+test('only base64 of 32 bytes counts as room material', () => {
+  assert.ok(!RoomCrypto.isRoomMaterial('secret-memory'));
+  assert.ok(!RoomCrypto.isRoomMaterial(undefined));
+  assert.ok(!RoomCrypto.isRoomMaterial(Buffer.alloc(16).toString('base64')));
+  assert.ok(RoomCrypto.isRoomMaterial(Buffer.alloc(32).toString('base64')));
+});
+
+test('sealed signaling messages open only in the same room and context', async () => {
+  const material = await RoomCrypto.deriveRoomMaterial('correct horse', 'battery staple');
+  const other = await RoomCrypto.deriveRoomMaterial('correct horse', 'battery stapler');
+  const cipher = await RoomCrypto.createSignalingCipher(material);
+  const payload = { type: 'offer', sdp: 'v=0' };
+
+  const envelope = await cipher.seal(payload, 'room:a->b');
+  assert.deepEqual(await cipher.open(envelope, 'room:a->b'), payload);
+  assert.ok(!JSON.stringify(envelope).includes('v=0'));
+
+  const integrity = { code: 'signaling-integrity' };
+  await assert.rejects(cipher.open(envelope, 'room:b->a'), integrity);
+  await assert.rejects((await RoomCrypto.createSignalingCipher(other)).open(envelope, 'room:a->b'), integrity);
+  const tampered = { ...envelope, data: (envelope.data[0] === 'A' ? 'B' : 'A') + envelope.data.slice(1) };
+  await assert.rejects(cipher.open(tampered, 'room:a->b'), integrity);
+  await assert.rejects(cipher.open(payload, 'room:a->b'), integrity);
+});
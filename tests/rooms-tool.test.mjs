@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { parseDuration, summarize } from '../tools/rooms.mjs';
+
+const TOOL = fileURLToPath(new URL('../tools/rooms.mjs', import.meta.url));
+const HOUR = 60 * 60 * 1000;
+const run = promisify(execFile);
+
+test('durations accept units and default to milliseconds', () => {
+  assert.equal(parseDuration('250'), 250);
+  assert.equal(parseDuration('1.5s'), 1500);
+  assert.equal(parseDuration('90m'), 90 * 60 * 1000);
+  assert.equal(parseDuration(' 36h '), 36 * HOUR);
+  assert.equal(parseDuration('7d'), 7 * 24 * HOUR);
+  ['', 'h', '-1h', '3w', '1h30m'].forEach(text => {
+    assert.throws(() => parseDuration(text), { code: 'usage' }, text);
+  });
+});
+
+test('a room is expired once its latest activity is older than the TTL', () => {
+  const now = 100 * HOUR;
+  const room = summarize('room', {
+    meta: { createdAt: 10 * HOUR, lastActivity: 90 * HOUR },
+    peers: { a: { joinedAt: 95 * HOUR }, b: { joinedAt: 'junk' }, c: null }
+  }, 24 * HOUR, now);
+
+  assert.deepEqual(room, { key: 'room', createdAt: 10 * HOUR, lastActivity: 95 * HOUR, participants: 3, expired: false });
+  assert.equal(summarize('room', { meta: { lastActivity: 90 * HOUR }, peers: null }, 5 * HOUR, now).expired, true);
+});
+
+test('rooms without timestamps count as expired', () => {
+  const room = summarize('room', { meta: null, peers: null }, HOUR, Date.now());
+  assert.equal(room.lastActivity, null);
+  assert.equal(room.createdAt, null);
+  assert.equal(room.expired, true);
+});
+
+async function withExport(callback) {
+  const directory = await mkdtemp(join(tmpdir(), 'rooms-tool-'));
+  const file = join(directory, 'export.json');
+  const now = Date.now();
+  await writeFile(file, JSON.stringify({
+    rooms: {
+      stale: { meta: { createdAt: now - 48 * HOUR, lastActivity: now - 30 * HOUR } },
+      legacy: { signals: {} },
+      active: { meta: { lastActivity: now - HOUR }, peers: { a: { joinedAt: now - HOUR } } }
+    },
+    other: { kept: true }
+  }));
+  try {
+    await callback(file);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+const purge = (file, ...args) => run(process.execPath, [TOOL, 'purge', '--file', file, '--ttl', '24h', '--json', ...args]);
+
+test('purge is a dry run unless --yes is given', async () => {
+  await withExport(async file => {
+    const before = await readFile(file, 'utf8');
+    const { stdout } = await purge(file);
+    const result = JSON.parse(stdout);
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.rooms.map(room => room.key).sort(), ['legacy', 'stale']);
+    assert.equal(await readFile(file, 'utf8'), before);
+  });
+});
+
+test('purge --yes removes only expired rooms from the export', async () => {
+  await withExport(async file => {
+    const { stdout } = await purge(file, '--yes');
+    assert.equal(JSON.parse(stdout).dryRun, false);
+
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    assert.deepEqual(Object.keys(data.rooms), ['active']);
+    assert.deepEqual(data.other, { kept: true });
+  });
+});
@@ -0,0 +1,16 @@
+// Loads the app's browser modules from Node, for tools/rooms.mjs and tests/.
+// They live in folders without a package.json, so Node won't import them as
+// ES modules directly; they are imported from their source instead, which
+// only works for modules without relative imports
+import { readFile } from 'node:fs/promises';
+
+const ROOT = new URL('../', import.meta.url);
+
+// `path` is relative to the repository root
+export function readSource(path) {
+  return readFile(new URL(path, ROOT), 'utf8');
+}
+
+export async function loadModule(path) {
+  return import(`data:text/javascript,${encodeURIComponent(await readSource(path))}`);
+}
@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+// =============================================================================
+// ROOMS TOOL
+// Lists, inspects and purges abandoned rooms in the signaling database
+// =============================================================================
+//
+// A room counts as expired once nothing has happened in it for longer than
+// the TTL: its meta.lastActivity (refreshed by every client in a call) and
+// its participants' joinedAt are all older. Rooms without any timestamps were
+// left behind before rooms carried metadata and count as expired too.
+//
+//   node tools/rooms.mjs list [--expired] [--json]
+//   node tools/rooms.mjs inspect <roomKey> [--json]
+//   node tools/rooms.mjs purge [--yes] [--json]
+//
+// purge only reports what it would delete unless --yes is given.
+//
+// Backends (Firebase database from firebase-config.js by default):
+//   --url <databaseURL>      another database, or any server speaking its REST API
+//   --emulator [host:port]   the Firebase emulator, default 127.0.0.1:9000 or
+//                            FIREBASE_DATABASE_EMULATOR_HOST
+//   --file <export.json>     a JSON export of the whole database; purge rewrites it
+//
+// Options:
+//   --ttl <duration>         e.g. 90m, 36h or 7d (default: roomTtl in room-config.js)
+//   --auth <token>           database secret or ID token (default: FIREBASE_AUTH)
+//   --namespace <name>       emulator namespace (default: taken from the database URL)
+//
+// No dependencies; needs Node 18 or later.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { loadModule, readSource } from './load-module.mjs';
+
+const DEFAULT_EMULATOR_HOST = '127.0.0.1:9000';
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const USAGE = `Usage:
+  node tools/rooms.mjs list [--expired] [--json]
+  node tools/rooms.mjs inspect <roomKey> [--json]
+  node tools/rooms.mjs purge [--yes] [--json]   (a dry run without --yes)
+
+Backend:  --url <databaseURL> | --emulator [host:port] | --file <export.json>
+Options:  --ttl <duration> --auth <token> --namespace <name>`;
+
+function fail(message) {
+  const error = new Error(message);
+  error.code = 'usage';
+  return error;
+}
+
+// =============================================================================
+// ARGUMENTS
+// =============================================================================
+const VALUE_OPTIONS = new Set(['url', 'file', 'ttl', 'auth', 'namespace']);
+const FLAG_OPTIONS = new Set(['expired', 'json', 'yes', 'help']);
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (FLAG_OPTIONS.has(name)) {
+      options[name] = true;
+    } else if (name === 'emulator') {
+      // The host is optional
+      const next = argv[i + 1];
+      options.emulator = inlineValue || (next && !next.startsWith('--') && next.includes(':') ? argv[++i] : true);
+    } else if (VALUE_OPTIONS.has(name)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) throw fail(`--${name} needs a value`);
+      options[name] = value;
+    } else {
+      throw fail(`Unknown option --${name}`);
+    }
+  }
+
+  const [command = null, ...rest] = positional;
+  return { command, args: rest, options };
+}
+
+export function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(text).trim());
+  if (!match) throw fail(`Invalid duration "${text}", use e.g. 90m, 36h or 7d`);
+  return Number(match[1]) * DURATION_UNITS[match[2] || 'ms'];
+}
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+async function loadRoomConfig() {
+  const { roomConfig } = await loadModule('room-config.js');
+  return roomConfig;
+}
+
+// firebase-config.js imports the SDK from a CDN, so only its URL is read out
+async function loadDatabaseUrl() {
+  const source = await readSource('firebase-config.js');
+  const match = /databaseURL:\s*["']([^"']+)["']/.exec(source);
+  if (!match) throw fail('No databaseURL in firebase-config.js; pass --url');
+  return match[1];
+}
+
+// =============================================================================
+// BACKENDS
+// =============================================================================
+// Every backend offers listRoomKeys(), getSummary(key) -> { meta, peers },
+// getRoom(key), removeRoom(key) and close()
+function createRestBackend(baseUrl, params = {}) {
+  const request = async (path, { method = 'GET', query = {} } = {}) => {
+    const url = new URL(`${path}.json`, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    Object.entries({ ...params, ...query }).forEach(([key, value]) => {
+      if (value) url.searchParams.set(key, value);
+    });
+
+    let response;
+    try {
+      response = await fetch(url, { method });
+    } catch (error) {
+      throw new Error(`Can't reach ${url.origin}: ${error.cause ? error.cause.message : error.message}`);
+    }
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`${method} ${path} failed with ${response.status}: ${body.trim() || response.statusText}`);
+    }
+    return response.json();
+  };
+
+  const roomPath = key => `rooms/${encodeURIComponent(key)}`;
+
+  return {
+    description: baseUrl,
+
+    async listRoomKeys() {
+      return Object.keys(await request('rooms', { query: { shallow: 'true' } }) || {});
+    },
+
+    async getSummary(key) {
+      const [meta, peers] = await Promise.all([
+        request(`${roomPath(key)}/meta`),
+        request(`${roomPath(key)}/peers`)
+      ]);
+      return { meta, peers };
+    },
+
+    getRoom(key) {
+      return request(roomPath(key));
+    },
+
+    async removeRoom(key) {
+      await request(roomPath(key), { method: 'DELETE' });
+    },
+
+    async close() {}
+  };
+}
+
+async function createFileBackend(path) {
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Can't read ${path}: ${error.message}`);
+  }
+  const rooms = data.rooms || {};
+  let changed = false;
+
+  return {
+    description: path,
+
+    async listRoomKeys() {
+      return Object.keys(rooms);
+    },
+
+    async getSummary(key) {
+      const room = rooms[key] || {};
+      return { meta: room.meta || null, peers: room.peers || null };
+    },
+
+    async getRoom(key) {
+      return rooms[key] || null;
+    },
+
+    async removeRoom(key) {
+      delete rooms[key];
+      changed = true;
+    },
+
+    async close() {
+      if (!changed) return;
+      data.rooms = rooms;
+      await writeFile(path, `${JSON.stringify(data, null, 2)}\n`);
+    }
+  };
+}
+
+async function createBackend(options) {
+  if (options.file) return createFileBackend(options.file);
+
+  const auth = options.auth || process.env.FIREBASE_AUTH;
+  const databaseUrl = options.url || await loadDatabaseUrl();
+
+  if (options.emulator) {
+    const host = typeof options.emulator === 'string'
+      ? options.emulator
+      : process.env.FIREBASE_DATABASE_EMULATOR_HOST || DEFAULT_EMULATOR_HOST;
+    // The emulator serves every database on one port, picked by ?ns=
+    const namespace = options.namespace || new URL(databaseUrl).hostname.split('.')[0];
+    return createRestBackend(`http://${host}/`, { ns: namespace, auth });
+  }
+
+  return createRestBackend(databaseUrl, { auth });
+}
+
+// =============================================================================
+// ROOM STATUS
+// =============================================================================
+export function summarize(key, { meta, peers }, ttl, now) {
+  const participants = Object.values(peers || {});
+  const timestamps = [
+    meta && meta.lastActivity,
+    ...participants.map(peer => peer && peer.joinedAt)
+  ].filter(value => typeof value === 'number');
+  const lastActivity = timestamps.length > 0 ? Math.max(...timestamps) : null;
+
+  return {
+    key,
+    createdAt: meta && typeof meta.createdAt === 'number' ? meta.createdAt : null,
+    lastActivity,
+    participants: participants.length,
+    expired: lastActivity === null || now - lastActivity > ttl
+  };
+}
+
+function countSignals(signals) {
+  let inboxes = 0;
+  let messages = 0;
+  Object.values(signals || {}).forEach(senders => {
+    Object.values(senders || {}).forEach(queue => {
+      inboxes += 1;
+      messages += Object.keys(queue || {}).length;
+    });
+  });
+  return { inboxes, messages };
+}
+
+function formatTime(timestamp) {
+  return timestamp === null ? '-' : new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function formatAge(timestamp, now) {
+  if (timestamp === null) return 'unknown';
+
+  const minutes = Math.max(0, Math.floor((now - timestamp) / 60000));
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m ago`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h ago`;
+}
+
+function formatDurationLabel(ms) {
+  const unit = ['d', 'h', 'm', 's'].find(name => ms % DURATION_UNITS[name] === 0) || 'ms';
+  return `${ms / DURATION_UNITS[unit]}${unit}`;
+}
+
+function printTable(rooms, now) {
+  if (rooms.length === 0) {
+    console.log('No rooms.');
+    return;
+  }
+
+  const rows = [
+    ['ROOM', 'CREATED', 'LAST ACTIVITY', 'PEOPLE', 'STATUS'],
+    ...rooms.map(room => [
+      room.key,
+      formatTime(room.createdAt),
+      formatAge(room.lastActivity, now),
+      String(room.participants),
+      room.expired ? 'expired' : 'active'
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  rows.forEach(row => {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  });
+}
+
+async function loadSummaries(backend, ttl, now) {
+  const keys = await backend.listRoomKeys();
+  const rooms = [];
+  // One room at a time keeps the load on a live database low
+  for (const key of keys) {
+    rooms.push(summarize(key, await backend.getSummary(key), ttl, now));
+  }
+  return rooms.sort((a, b) => (a.lastActivity || 0) - (b.lastActivity || 0));
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+async function listRooms(backend, { ttl, options }) {
+  const now = Date.now();
+  let rooms = await loadSummaries(backend, ttl, now);
+  if (options.expired) rooms = rooms.filter(room => room.expired);
+
+  if (options.json) {
+    console.log(JSON.stringify(rooms, null, 2));
+  } else {
+    printTable(rooms, now);
+  }
+}
+
+async function inspectRoom(backend, { ttl, args, options }) {
+  const [key] = args;
+  if (!key) throw fail('inspect needs a room key');
+
+  const now = Date.now();
+  const room = await backend.getRoom(key);
+  if (!room) throw new Error(`Room ${key} not found`);
+
+  const summary = summarize(key, { meta: room.meta || null, peers: room.peers || null }, ttl, now);
+  // Signals and knocks are ciphertext; only their number is of any use here
+  const details = {
+    ...summary,
+    approval: Boolean(room.meta && room.meta.approval),
+    knocks: Object.values(room.knocks || {}).filter(knock => knock && !knock.decision).length,
+    peers: Object.entries(room.peers || {}).map(([peerId, peer]) => ({
+      peerId,
+      joinedAt: peer && typeof peer.joinedAt === 'number' ? peer.joinedAt : null,
+      e2ee: Boolean(peer && peer.e2ee)
+    })),
+    signals: countSignals(room.signals),
+    otherKeys: Object.keys(room).filter(name => !['meta', 'peers', 'signals', 'knocks', 'admitted'].includes(name))
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(details, null, 2));
+    return;
+  }
+
+  console.log(`Room           ${key}`);
+  console.log(`Status         ${summary.expired ? 'expired' : 'active'} (TTL ${formatDurationLabel(ttl)})`);
+  console.log(`Created        ${formatTime(summary.createdAt)}`);
+  console.log(`Last activity  ${formatTime(summary.lastActivity)} (${formatAge(summary.lastActivity, now)})`);
+  console.log(`Signals        ${details.signals.messages} message(s) in ${details.signals.inboxes} queue(s)`);
+  if (details.approval) console.log(`Approval       required, ${details.knocks} knock(s) waiting`);
+  console.log(`People         ${details.peers.length}`);
+  details.peers.forEach(peer => {
+    console.log(`  ${peer.peerId}  joined ${formatTime(peer.joinedAt)}${peer.e2ee ? '  e2ee' : ''}`);
+  });
+  if (details.otherKeys.length > 0) console.log(`Other data     ${details.otherKeys.join(', ')}`);
+}
+
+async function purgeRooms(backend, { ttl, options }) {
+  const now = Date.now();
+  const expired = (await loadSummaries(backend, ttl, now)).filter(room => room.expired);
+  const removed = [];
+  const dryRun = !options.yes;
+
+  for (const room of expired) {
+    if (!dryRun) {
+      // Someone may have joined since the list was read
+      const current = summarize(room.key, await backend.getSummary(room.key), ttl, Date.now());
+      if (!current.expired) continue;
+      await backend.removeRoom(room.key);
+    }
+    removed.push(room);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ dryRun, rooms: removed }, null, 2));
+    return;
+  }
+
+  const verb = dryRun ? 'Would remove' : 'Removed';
+  removed.forEach(room => console.log(`${verb} ${room.key} (last activity ${formatAge(room.lastActivity, now)})`));
+  console.log(`${verb} ${removed.length} expired room(s) from ${backend.description}.`);
+  if (dryRun && removed.length > 0) console.log('Run again with --yes to delete them.');
+}
+
+const COMMANDS = {
+  list: listRooms,
+  inspect: inspectRoom,
+  purge: purgeRooms
+};
+
+async function main() {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw fail(`Unknown command "${command}"`);
+
+  const ttl = options.ttl ? parseDuration(options.ttl) : (await loadRoomConfig()).roomTtl;
+  const backend = await createBackend(options);
+  try {
+    await COMMANDS[command](backend, { ttl, args, options });
+  } finally {
+    await backend.close();
+  }
+}
+
+// Only run as a command, so the tests can import the helpers above
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(`error: ${error.message}`);
+    if (error.code === 'usage') console.error(`\n${USAGE}`);
+    process.exitCode = 1;
+  });
+}